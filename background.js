@@ -4,83 +4,146 @@
  * This file runs as a background service worker (Manifest V3).
  * It handles:
  * - Periodic checking for updates in saved sections
- * - Snapshot extraction and comparison
- * - Badge notifications
+ * - Snapshot extraction (via the offscreen document) and comparison
+ * - Badge and desktop notifications
  * - Storage management
  */
 
-// Import comparison utilities
-importScripts('utils/compare.js');
+// Import comparison, settings, request scheduling and storage utilities
+importScripts('utils/url.js', 'utils/format.js', 'utils/compare.js', 'utils/settings.js', 'utils/queue.js', 'utils/snapshot-db.js', 'utils/section-store.js', 'utils/migrations.js');
 
 // Configuration
-const CHECK_INTERVAL_MINUTES = 5; // Default check interval (user adjustable)
+const CHECK_INTERVAL_MINUTES = DEFAULT_SETTINGS.checkInterval; // Default check interval (user adjustable)
 const ALARM_NAME = 'checkSavedSections';
+const QUIET_HOURS_ALARM_NAME = 'quietHoursEnd';
+const DIGEST_ALARM_NAME = 'digest';
+const MIN_ALARM_DELAY_MS = 30 * 1000; // Chrome does not fire alarms sooner than this
+const OFFSCREEN_DOCUMENT_PATH = 'offscreen/offscreen.html';
+const NOTIFICATION_PREFIX = 'section-update:';
+const LOGIN_NOTIFICATION_ID = 'login-required';
+const SUMMARY_NOTIFICATION_ID = 'quiet-hours-summary';
+const DIGEST_NOTIFICATION_ID = 'digest';
+const DIGEST_PAGE_PATH = 'digest/digest.html';
+const DASHBOARD_URL = 'https://www.courseweb.sliit.lk/my/';
+const LOGIN_URL = 'https://www.courseweb.sliit.lk/login/index.php';
+const NOTIFICATION_MAX_ITEMS = 5;
+const MAX_BACKOFF_MINUTES = 24 * 60; // Never wait more than a day between retries
+const STORAGE_PRESSURE_RATIO = 0.8; // Drop old snapshot versions once this share of the quota is used
+const CHECK_STATE_FIELDS = ['lastChecked', 'httpValidators', 'contentHash', 'detectedExtractorId']; // Set by checkSectionForUpdates() itself
+const RESOURCE_PAGE_PATTERN = /\/mod\/resource\/view\.php/i; // Resource pages whose file can be looked up
+const PLUGINFILE_PATTERN = /\/pluginfile\.php\//i;
+const MAX_RESOURCE_LOOKUPS = 10; // File lookups per section and run; further new resources keep their extracted type
+
+// Item types for files, matched by extension first, then by MIME type
+const FILE_TYPE_RULES = [
+  { type: 'pdf', extensions: ['pdf'], mimePattern: /^application\/pdf$/ },
+  { type: 'presentation', extensions: ['ppt', 'pptx', 'pps', 'ppsx', 'odp', 'key'], mimePattern: /presentation|powerpoint/ },
+  { type: 'spreadsheet', extensions: ['xls', 'xlsx', 'ods', 'csv'], mimePattern: /spreadsheet|excel|text\/csv/ },
+  { type: 'document', extensions: ['doc', 'docx', 'odt', 'rtf', 'txt'], mimePattern: /wordprocessing|msword|opendocument\.text|rtf|text\/plain/ },
+  { type: 'archive', extensions: ['zip', 'rar', '7z', 'tar', 'gz', 'tgz'], mimePattern: /zip|rar|7z|tar|compressed/ }
+];
+
+// Item types for Moodle's file type icons (see getFileIcon() in utils/extractors.js)
+const FILE_ICON_TYPES = {
+  pdf: 'pdf',
+  powerpoint: 'presentation',
+  impress: 'presentation',
+  spreadsheet: 'spreadsheet',
+  calc: 'spreadsheet',
+  document: 'document',
+  writer: 'document',
+  text: 'document',
+  archive: 'archive'
+};
+
+// Badge colours for each toolbar state
+const BADGE_COLORS = {
+  loginRequired: '#f59e0b',
+  updates: '#ff0000',
+  errors: '#6b7280'
+};
+
+// Pending offscreen document creation (shared between concurrent callers)
+let creatingOffscreenDocument = null;
+
+// Check run in progress, and the single follow-up run requested meanwhile
+let activeCheckRun = null;
+let queuedCheckRun = null; // { options, promise }
 
 /**
- * Initialize extension on install
+ * Initialize extension on install or update
  */
 chrome.runtime.onInstalled.addListener((details) => {
   console.log('CourseWeb Fav Navigator installed:', details.reason);
   
-  // Initialize storage
-  chrome.storage.local.get(['savedSections', 'checkInterval'], (result) => {
-    const savedSections = result.savedSections || [];
-    const checkInterval = result.checkInterval || CHECK_INTERVAL_MINUTES;
-    
-    // Migrate old format if needed
-    if (savedSections.length === 0) {
-      chrome.storage.local.get(['savedSection'], (oldResult) => {
-        if (oldResult.savedSection) {
-          const migratedSection = {
-            id: generateUUID(),
-            name: oldResult.savedSection.name || 'Saved Section',
-            url: oldResult.savedSection.url,
-            hasNew: false,
-            lastSnapshot: [],
-            lastChecked: null
-          };
-          chrome.storage.local.set({
-            savedSections: [migratedSection],
-            savedSection: null
-          });
-        }
-      });
-    }
-    
-    // Start periodic checking
-    startPeriodicCheck(checkInterval);
-  });
+  // Storage is upgraded at startup (see runMigrations below); start checking once it is
+  migrationsDone.then(() => scheduleNextCheck());
 });
 
 /**
- * Generate UUID for section IDs
+ * Get the check interval (minutes) that applies to a section
+ * @param {Object} section - Saved section
+ * @param {number} defaultInterval - Global check interval in minutes
+ * @returns {number} Interval in minutes
  */
-function generateUUID() {
-  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-    const r = Math.random() * 16 | 0;
-    const v = c === 'x' ? r : (r & 0x3 | 0x8);
-    return v.toString(16);
-  });
+function getSectionInterval(section, defaultInterval) {
+  return section.checkInterval || defaultInterval || CHECK_INTERVAL_MINUTES;
 }
 
 /**
- * Start periodic checking using alarms API
+ * Check whether a section is due for a background check
+ * @param {Object} section - Saved section
+ * @returns {boolean} True if nextCheckAt is unset or has passed
  */
-function startPeriodicCheck(intervalMinutes = CHECK_INTERVAL_MINUTES) {
-  // Clear existing alarm
-  chrome.alarms.clear(ALARM_NAME);
-  
-  // Create new alarm
-  chrome.alarms.create(ALARM_NAME, {
-    periodInMinutes: intervalMinutes
+function isSectionDue(section) {
+  return !section.nextCheckAt || new Date(section.nextCheckAt).getTime() <= Date.now();
+}
+
+/**
+ * Point the alarm at the earliest nextCheckAt of all saved sections.
+ * Alarms survive service worker restarts, so nothing else needs to keep
+ * the worker alive between checks.
+ */
+async function scheduleNextCheck() {
+  try {
+    const result = await chrome.storage.local.get(['savedSections', 'loginRequired']);
+    const savedSections = result.savedSections || [];
+    
+    await chrome.alarms.clear(ALARM_NAME);
+    
+    // Nothing to check, or paused until the user logs in again
+    if (savedSections.length === 0 || result.loginRequired) {
+      console.log('No check scheduled');
+      return;
+    }
+    
+    const nextDue = Math.min(...savedSections.map(section => {
+      return section.nextCheckAt ? new Date(section.nextCheckAt).getTime() : Date.now();
+    }));
+    const when = Math.max(nextDue, Date.now() + MIN_ALARM_DELAY_MS);
+    
+    await chrome.alarms.create(ALARM_NAME, { when: when });
+    console.log(`Next check scheduled for ${new Date(when).toLocaleString()}`);
+  } catch (error) {
+    console.error('Error scheduling next check:', error);
+  }
+}
+
+/**
+ * Reschedule sections after their interval changed
+ * @param {Array} sections - Saved sections to update (mutated)
+ * @param {number} defaultInterval - Global check interval in minutes
+ */
+function rescheduleSections(sections, defaultInterval) {
+  sections.forEach(section => {
+    // Sections backing off after errors keep their retry time
+    if (section.consecutiveFailures > 0) {
+      return;
+    }
+    const interval = getSectionInterval(section, defaultInterval);
+    const from = section.lastChecked ? new Date(section.lastChecked).getTime() : Date.now();
+    section.nextCheckAt = new Date(from + interval * 60 * 1000).toISOString();
   });
-  
-  console.log(`Periodic check started (every ${intervalMinutes} minutes)`);
-  
-  // Perform initial check after 1 minute
-  setTimeout(() => {
-    checkAllSavedSections();
-  }, 60 * 1000);
 }
 
 /**
@@ -88,441 +151,1781 @@ function startPeriodicCheck(intervalMinutes = CHECK_INTERVAL_MINUTES) {
  */
 chrome.alarms.onAlarm.addListener((alarm) => {
   if (alarm.name === ALARM_NAME) {
-    checkAllSavedSections();
+    checkAllSavedSections({ skipIfLoginRequired: true, dueOnly: true });
+  } else if (alarm.name === QUIET_HOURS_ALARM_NAME) {
+    deliverHeldAlerts();
+  } else if (alarm.name === DIGEST_ALARM_NAME) {
+    sendDigest().then(() => scheduleDigest({ reset: true }));
   }
 });
 
 /**
- * Check all saved sections for updates
+ * Error thrown when a check lands on the CourseWeb login page
+ */
+class LoginRequiredError extends Error {
+  constructor(url) {
+    super(`CourseWeb session expired (redirected to ${url})`);
+    this.name = 'LoginRequiredError';
+  }
+}
+
+/**
+ * Check all saved sections for updates. Only one run is in progress at a
+ * time; requests made during a run are combined into one follow-up run.
+ * @param {Object} options
+ * @param {boolean} options.skipIfLoginRequired - Do nothing while the session is known to be expired
+ * @param {boolean} options.dueOnly - Only check sections whose nextCheckAt has passed
+ * @returns {Promise<void>} Resolves when the run covering this request has finished
+ */
+function checkAllSavedSections({ skipIfLoginRequired = false, dueOnly = false } = {}) {
+  if (!activeCheckRun) {
+    activeCheckRun = runSavedSectionChecks({ skipIfLoginRequired, dueOnly }).finally(() => {
+      activeCheckRun = null;
+    });
+    return activeCheckRun;
+  }
+  
+  // The follow-up does whatever the widest request asked for
+  if (queuedCheckRun) {
+    queuedCheckRun.options.skipIfLoginRequired = queuedCheckRun.options.skipIfLoginRequired && skipIfLoginRequired;
+    queuedCheckRun.options.dueOnly = queuedCheckRun.options.dueOnly && dueOnly;
+    return queuedCheckRun.promise;
+  }
+  
+  const queued = { options: { skipIfLoginRequired, dueOnly } };
+  queued.promise = activeCheckRun.then(() => {
+    queuedCheckRun = null;
+    return checkAllSavedSections(queued.options);
+  });
+  queuedCheckRun = queued;
+  return queued.promise;
+}
+
+/**
+ * Run one check of the saved sections (see checkAllSavedSections())
+ * @param {Object} options - { skipIfLoginRequired, dueOnly }
  */
-async function checkAllSavedSections() {
+async function runSavedSectionChecks({ skipIfLoginRequired, dueOnly }) {
   try {
-    const result = await chrome.storage.local.get(['savedSections']);
+    await migrationsDone;
+    
+    const result = await chrome.storage.local.get(['savedSections', 'loginRequired', 'checkInterval']);
     const savedSections = result.savedSections || [];
+    const checkInterval = result.checkInterval || CHECK_INTERVAL_MINUTES;
+    
+    // Diffing is paused until a logged-in CourseWeb tab reports back
+    if (skipIfLoginRequired && result.loginRequired) {
+      console.log('Skipping check - CourseWeb login required');
+      return;
+    }
     
     if (savedSections.length === 0) {
-      updateBadge(false);
+      await refreshBadge();
+      await scheduleNextCheck();
       return;
     }
     
-    console.log(`Checking ${savedSections.length} saved section(s) for updates...`);
+    // Scheduled runs only fetch sections that are due (including backoff)
+    const dueSections = dueOnly ? savedSections.filter(isSectionDue) : savedSections;
+    const settings = await getSettings();
+    
+    console.log(`Checking ${dueSections.length} of ${savedSections.length} saved section(s) for updates (${settings.checkConcurrency} at a time)...`);
+    
+    // With "digest only" the digest alarm is the only desktop alert
+    const instantAlerts = !settings.digest.enabled || settings.digest.instantAlerts;
     
-    // Check each section
-    let hasAnyUpdates = false;
-    const updatedSections = [];
+    // During quiet hours alerts are held and delivered as one summary afterwards
+    const quietHoursEnd = getQuietHoursEnd(settings.quietHours);
+    const holdingAlerts = instantAlerts && !!quietHoursEnd;
     
-    for (const section of savedSections) {
+    const sectionsToNotify = [];
+    const resourceLookups = [];
+    let loginRequired = false;
+    let sessionConfirmed = false;
+    
+    await runWithConcurrency(dueSections, settings.checkConcurrency, async (section) => {
+      // Once the session is gone every other page would be the login page too
+      if (loginRequired) {
+        return;
+      }
+      
+      // The check works on a copy; results are applied to the latest stored
+      // section so edits made while the page was fetched are kept
+      const checkedSection = { ...section };
+      const generation = section.snapshotGeneration || 0;
       try {
-        const hasNew = await checkSectionForUpdates(section);
-        if (hasNew) {
-          hasAnyUpdates = true;
-          section.hasNew = true;
+        const { diff, updateRecord } = await checkSectionForUpdates(checkedSection, settings);
+        sessionConfirmed = true;
+        let stale = false;
+        const updated = await updateSectionAndSnapshot(section.id, (current, record) => {
+          // A baseline reset, rollback or URL rewrite during the fetch makes this result stale
+          if ((current.snapshotGeneration || 0) !== generation) {
+            stale = true;
+            return false;
+          }
+          
+          if (updateRecord) {
+            updateRecord(record);
+          }
+          CHECK_STATE_FIELDS.forEach(field => {
+            current[field] = checkedSection[field];
+          });
+          recordCheckSuccess(current, checkInterval);
+          
+          // Drop snoozes that have run out
+          if (current.snoozedUntil && !isSectionSnoozed(current)) {
+            current.snoozedUntil = null;
+          }
+          
+          // Snoozed sections still record changes, they just stay quiet
+          if (diff && applyDetectedChanges(current, diff) && !isSectionSnoozed(current)) {
+            sectionsToNotify.push(current);
+          }
+          
+          const resources = selectResourceLookups(diff ? diff.added : [], settings);
+          if (resources.length > 0) {
+            resourceLookups.push({ section: current, generation: generation, items: resources });
+          }
+        });
+        
+        if (stale) {
+          console.log(`${section.name} was reset during the check - discarding the result`);
+        } else if (!updated) {
+          console.log(`${section.name} was removed during the check`);
         }
-        updatedSections.push(section);
       } catch (error) {
-        console.error(`Error checking section ${section.name}:`, error);
-        // Keep the section as-is if check fails
-        updatedSections.push(section);
+        // Keep the snapshot as-is if check fails
+        if (error instanceof LoginRequiredError) {
+          // Not the section's fault - keep its error state untouched
+          console.warn(error.message);
+          loginRequired = true;
+        } else {
+          console.error(`Error checking section ${section.name}:`, error);
+          await updateSavedSection(section.id, current => recordCheckFailure(current, error, checkInterval));
+        }
+      }
+      
+      // Show each result as it lands; held alerts wait for the summary below
+      if (!holdingAlerts) {
+        await refreshBadge();
       }
+    });
+    
+    await setLoginRequired(loginRequired);
+    if (sessionConfirmed && !loginRequired) {
+      // The next expiry gets its own login prompt
+      await chrome.storage.local.remove('loginAlertShown');
     }
+    await scheduleNextCheck();
+    await enforceSnapshotRetention();
     
-    // Update storage with modified sections
-    await chrome.storage.local.set({ savedSections: updatedSections });
+    if (holdingAlerts && sectionsToNotify.length > 0) {
+      await holdAlerts(sectionsToNotify, quietHoursEnd);
+    }
     
-    // Update badge
-    updateBadge(hasAnyUpdates);
+    // Update badge (sections flagged by earlier checks still count until read)
+    await refreshBadge();
     
-    console.log('Check complete. Updates found:', hasAnyUpdates);
+    // Desktop notification per section with new content
+    if (instantAlerts && !quietHoursEnd) {
+      for (const section of sectionsToNotify) {
+        await showSectionNotification(section);
+      }
+    }
+    
+    // File lookups come last so they never hold up results or alerts
+    for (const lookup of resourceLookups) {
+      await resolveSectionResources(lookup, settings);
+    }
+    
+    console.log('Check complete. Updates found:', sectionsToNotify.length > 0);
   } catch (error) {
     console.error('Error checking saved sections:', error);
   }
 }
 
 /**
- * Check a single section for updates
- * @param {Object} section - Section object with url, lastSnapshot, etc.
- * @returns {Promise<boolean>} True if updates detected
+ * Check a single section for updates. Nothing is stored here: the fetch
+ * state on the section (see CHECK_STATE_FIELDS) is updated in place, and
+ * the change to the snapshot record is returned, for the caller to apply
+ * together once the section is known to be unchanged meanwhile.
+ * @param {Object} section - Section object with url, contentHash, etc.
+ * @param {Object} settings - Settings from getSettings()
+ * @returns {Promise<Object>} { diff, updateRecord } - diff against the previous snapshot
+ *   (null if nothing changed) and a function applying the result to the snapshot record
+ *   (null if the record stays as it is)
  */
-async function checkSectionForUpdates(section) {
+async function checkSectionForUpdates(section, settings) {
   try {
+    // Keep requests to CourseWeb spaced out, even when checking in parallel
+    await waitForHostSlot(section.url, settings.minRequestSpacingMs);
+    
     console.log(`Checking section: ${section.name} (${section.url})`);
     
+    // Revalidate against the last response instead of always downloading
+    const headers = {
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+    };
+    const validators = section.httpValidators || {};
+    const record = await getSnapshotRecord(section.id);
+    const hasBaseline = record.snapshot.length > 0;
+    if (hasBaseline && validators.etag) {
+      headers['If-None-Match'] = validators.etag;
+    }
+    if (hasBaseline && validators.lastModified) {
+      headers['If-Modified-Since'] = validators.lastModified;
+    }
+    
     // Fetch the page content
     const response = await fetch(section.url, {
       credentials: 'include', // Include cookies for authentication
       method: 'GET',
-      headers: {
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-        'Cache-Control': 'no-cache'
-      }
+      cache: 'no-store', // Let 304 responses reach us instead of the HTTP cache
+      headers: headers
     });
     
+    if (response.status === 304) {
+      console.log(`Not modified: ${section.name}`);
+      const seenAt = section.lastChecked = new Date().toISOString();
+      return { diff: null, updateRecord: current => touchSnapshotItems(current.snapshot, seenAt) };
+    }
+    
     if (!response.ok) {
-      console.warn(`Failed to fetch ${section.url}: ${response.status} ${response.statusText}`);
-      return false;
+      const error = new Error(`HTTP ${response.status}${response.statusText ? ' ' + response.statusText : ''}`);
+      error.status = response.status;
+      throw error;
+    }
+    
+    // Moodle redirects to the login page once the session has expired
+    if (isLoginUrl(response.url)) {
+      throw new LoginRequiredError(response.url);
     }
     
     const html = await response.text();
     console.log(`Fetched ${html.length} bytes from ${section.name}`);
     
-    // Extract snapshot from HTML
-    const newSnapshot = extractSnapshot(html, section.url);
-    console.log(`Extracted ${newSnapshot.length} items from ${section.name}`);
+    // Extract snapshot from HTML (skipped when the content hash is unchanged)
+    const parsed = await parseSectionPage(html, section.url, hasBaseline ? section.contentHash : null, {
+      extractorId: section.extractorId || null,
+      includeSideBlocks: !!section.includeSideBlocks,
+      ignoredUrlParams: settings.ignoredUrlParams
+    });
+    
+    // Some pages render the login form in place instead of redirecting
+    if (parsed.isLoginPage) {
+      throw new LoginRequiredError(response.url || section.url);
+    }
+    
+    section.httpValidators = {
+      etag: response.headers.get('ETag'),
+      lastModified: response.headers.get('Last-Modified')
+    };
+    section.contentHash = parsed.contentHash;
+    
+    if (parsed.unchanged) {
+      console.log(`Content unchanged in ${section.name}`);
+      const seenAt = section.lastChecked = new Date().toISOString();
+      return { diff: null, updateRecord: current => touchSnapshotItems(current.snapshot, seenAt) };
+    }
+    
+    const newSnapshot = parsed.snapshot;
+    section.detectedExtractorId = parsed.extractorId;
+    
+    console.log(`Extracted ${newSnapshot.length} items from ${section.name} (${parsed.extractorId} extractor)`);
     
     // Compare with previous snapshot
-    const oldSnapshot = section.lastSnapshot || [];
+    const oldSnapshot = record.snapshot;
     console.log(`Previous snapshot had ${oldSnapshot.length} items`);
     
     // If this is the first check (no previous snapshot), establish baseline without marking as "new"
     const isFirstCheck = !oldSnapshot || oldSnapshot.length === 0;
     
-    const hasChanges = compareSnapshots(oldSnapshot, newSnapshot);
+    // An empty extraction almost always means a failed parse - keep the old baseline
+    if (newSnapshot.length === 0) {
+      console.log(`No items extracted from ${section.name} - keeping previous snapshot`);
+      section.lastChecked = new Date().toISOString();
+      return { diff: null, updateRecord: null };
+    }
+    
+    const stableSnapshot = createStableSnapshot(newSnapshot);
+    
+    // For first check, just establish baseline without marking as "new"
+    if (isFirstCheck) {
+      console.log(`First check for ${section.name} - establishing baseline with ${stableSnapshot.length} items`);
+      const capturedAt = section.lastChecked = new Date().toISOString();
+      const baseline = stampItemTimes([], stableSnapshot, null, capturedAt);
+      return {
+        diff: null, // Don't mark as "new" on first check
+        updateRecord: (current) => {
+          current.snapshot = baseline;
+          recordSnapshotVersion(current, capturedAt, null, settings.historyLimit);
+        }
+      };
+    }
+    
+    carryOverFileDetails(oldSnapshot, stableSnapshot);
+    const diff = diffSnapshots(oldSnapshot, stableSnapshot);
+    const checkedAt = section.lastChecked = new Date().toISOString();
+    
+    if (!diff.hasChanges) {
+      console.log(`No changes detected in ${section.name}`);
+      return { diff: null, updateRecord: current => touchSnapshotItems(current.snapshot, checkedAt) };
+    }
+    
+    // Most new files can be told apart from the section page alone (PDF, slides, lab ZIP, ...)
+    classifyResourceLinks(diff.added);
+    
+    console.log(`✅ Changes detected in ${section.name}: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.modified.length} renamed`);
+    if (diff.added.length > 0) {
+      console.log('New items:', diff.added.slice(0, 5).map(i => i.name || i.url || i).join(', '));
+    }
     
-    if (hasChanges) {
-      // For first check, just establish baseline without marking as "new"
-      if (isFirstCheck) {
-        console.log(`First check for ${section.name} - establishing baseline with ${newSnapshot.length} items`);
-        section.lastSnapshot = createStableSnapshot(newSnapshot);
-        section.lastChecked = new Date().toISOString();
-        return false; // Don't mark as "new" on first check
+    // Update last snapshot, carrying over when each item was first and last seen
+    const updatedSnapshot = stampItemTimes(oldSnapshot, stableSnapshot, diff, checkedAt);
+    return {
+      diff: diff,
+      updateRecord: (current) => {
+        current.snapshot = updatedSnapshot;
+        recordSnapshotVersion(current, checkedAt, diff, settings.historyLimit);
       }
-      // Get more details about what changed
-      const oldUrls = new Set((oldSnapshot || []).map(item => {
-        const url = typeof item === 'string' ? item : (item.url || item.name || '');
-        return url.toLowerCase();
-      }));
-      const newUrls = new Set(newSnapshot.map(item => {
-        const url = typeof item === 'string' ? item : (item.url || item.name || '');
-        return url.toLowerCase();
-      }));
+    };
+  } catch (error) {
+    console.error(`Error checking ${section.name}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Record a detected diff on the section: the changeset shown in the popup and
+ * the per-item unread state
+ * @param {Object} section - Saved section (mutated), with lastChecked already set
+ * @param {Object} diff - Result of diffSnapshots()
+ * @returns {boolean} True if anything was added or renamed
+ */
+function applyDetectedChanges(section, diff) {
+  // Keep the changeset until the user has seen it, merging with any unread one
+  section.lastChanges = mergeChangesets(section.hasNew ? section.lastChanges : null, {
+    detectedAt: section.lastChecked,
+    added: diff.added,
+    removed: diff.removed,
+    modified: diff.modified
+  });
+  
+  // Track read state per item: new and renamed items still in the changeset
+  // are unread (one that merely came back is not), removed ones are dropped
+  const pendingIds = new Set([...section.lastChanges.added, ...section.lastChanges.modified].map(getItemId));
+  const newItems = [...diff.added, ...diff.modified].filter(item => pendingIds.has(getItemId(item)));
+  updateUnreadItems(section, newItems, diff.removed);
+  
+  // Removals alone are not "new" content
+  const hasNew = newItems.length > 0;
+  if (hasNew) {
+    section.hasNew = true;
+  } else if (pendingIds.size === 0) {
+    // Everything unread was taken down again
+    section.hasNew = false;
+  }
+  return hasNew;
+}
+
+/**
+ * Mark a section's snapshot as replaced (reset, rolled back or rewritten),
+ * so a check that read the old snapshot discards its result
+ * @param {Object} section - Saved section (mutated)
+ */
+function bumpSnapshotGeneration(section) {
+  section.snapshotGeneration = (section.snapshotGeneration || 0) + 1;
+}
+
+/**
+ * Append the record's current snapshot to its version history, dropping
+ * the oldest versions beyond the configured limit
+ * @param {Object} record - Snapshot record from getSnapshotRecord() (mutated)
+ * @param {string} capturedAt - ISO timestamp of the check
+ * @param {Object|null} diff - Changes against the previous version, or null for a baseline
+ * @param {number} limit - Maximum number of versions to keep
+ */
+function recordSnapshotVersion(record, capturedAt, diff, limit) {
+  record.history.push({
+    capturedAt: capturedAt,
+    snapshot: record.snapshot,
+    changes: diff ? { added: diff.added, removed: diff.removed, modified: diff.modified } : null
+  });
+  record.history = record.history.slice(-Math.max(limit, 1));
+}
+
+/**
+ * Keep the snapshot database within the retention settings: drop records of
+ * removed sections, versions beyond the count and age limits and, when the
+ * browser reports the storage quota is nearly used up, every version but
+ * the current one
+ */
+async function enforceSnapshotRetention() {
+  try {
+    const settings = await getSettings();
+    
+    let underPressure = false;
+    if (navigator.storage && navigator.storage.estimate) {
+      const { usage, quota } = await navigator.storage.estimate();
+      underPressure = quota > 0 && usage / quota > STORAGE_PRESSURE_RATIO;
+      if (underPressure) {
+        console.warn(`Storage ${Math.round(usage / quota * 100)}% full - keeping only current snapshot versions`);
+      }
+    }
+    
+    const limit = underPressure ? 1 : Math.max(settings.historyLimit, 1);
+    const oldestKept = settings.historyRetentionDays > 0
+      ? Date.now() - settings.historyRetentionDays * 24 * 60 * 60 * 1000
+      : 0;
+    
+    // Queued so no check or rollback changes a record between reading and pruning it
+    await runSectionStoreTask(async () => {
+      const { savedSections } = await chrome.storage.local.get(['savedSections']);
+      const sectionIds = new Set((savedSections || []).map(section => section.id));
       
-      const newItems = newSnapshot.filter(item => {
-        const url = typeof item === 'string' ? item : (item.url || item.name || '');
-        return !oldUrls.has(url.toLowerCase());
+      const records = await getAllSnapshotRecords();
+      for (const record of records) {
+        if (!sectionIds.has(record.sectionId)) {
+          await deleteSnapshotRecord(record.sectionId);
+          continue;
+        }
+        
+        // The newest version is the current baseline and is always kept
+        const history = record.history || [];
+        const kept = history
+          .filter((version, index) => index === history.length - 1 || new Date(version.capturedAt).getTime() >= oldestKept)
+          .slice(-limit);
+        if (kept.length !== history.length) {
+          record.history = kept;
+          await putSnapshotRecord(record);
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error enforcing snapshot retention:', error);
+  }
+}
+
+/**
+ * Reset a section's error state after a successful check and schedule the next one
+ * @param {Object} section - Saved section (mutated)
+ * @param {number} checkInterval - Global check interval in minutes
+ */
+function recordCheckSuccess(section, checkInterval) {
+  const interval = getSectionInterval(section, checkInterval);
+  
+  section.lastSuccess = new Date().toISOString();
+  section.consecutiveFailures = 0;
+  section.lastError = null;
+  section.nextCheckAt = new Date(Date.now() + interval * 60 * 1000).toISOString();
+}
+
+/**
+ * Record a failed check and schedule the next retry with exponential backoff
+ * @param {Object} section - Saved section (mutated)
+ * @param {Error} error - Error raised by checkSectionForUpdates()
+ * @param {number} checkInterval - Normal check interval in minutes
+ */
+function recordCheckFailure(section, error, checkInterval) {
+  const failures = (section.consecutiveFailures || 0) + 1;
+  
+  // 1st failure retries at the normal interval, then 2x, 4x, ... up to a day
+  const interval = getSectionInterval(section, checkInterval);
+  const backoffMinutes = Math.min(interval * Math.pow(2, failures - 1), MAX_BACKOFF_MINUTES);
+  
+  section.consecutiveFailures = failures;
+  section.lastError = {
+    message: describeCheckError(error),
+    status: error.status || null,
+    at: new Date().toISOString()
+  };
+  section.nextCheckAt = new Date(Date.now() + backoffMinutes * 60 * 1000).toISOString();
+  
+  console.log(`${section.name} failed ${failures} time(s) in a row - next retry in ${backoffMinutes} minutes`);
+}
+
+/**
+ * Turn a check error into a message suitable for the popup
+ * @param {Error} error - Error raised by checkSectionForUpdates()
+ * @returns {string} Human-readable error message
+ */
+function describeCheckError(error) {
+  switch (error.status) {
+    case 403:
+      return 'Access denied (403) - you may no longer be enrolled';
+    case 404:
+      return 'Page not found (404) - the course may have been removed';
+    default:
+      if (error.status >= 500) {
+        return `CourseWeb server error (${error.status})`;
+      }
+      if (error instanceof TypeError) {
+        return 'Network error - CourseWeb could not be reached';
+      }
+      return error.message || 'Unknown error';
+  }
+}
+
+/**
+ * Check whether a URL points at the CourseWeb login page
+ * @param {string} url - Final URL of a response (after redirects)
+ * @returns {boolean} True for /login/ URLs
+ */
+function isLoginUrl(url) {
+  return !!url && /\/login\//i.test(new URL(url).pathname);
+}
+
+/**
+ * Record whether CourseWeb needs a fresh login, prompting the user on change.
+ * The prompt is shown once per expired session: loginAlertShown is only
+ * cleared once a check gets through (see runSavedSectionChecks()).
+ * @param {boolean} loginRequired - New login state
+ */
+async function setLoginRequired(loginRequired) {
+  const result = await chrome.storage.local.get(['loginRequired', 'loginAlertShown']);
+  if (!!result.loginRequired === loginRequired) {
+    return;
+  }
+  
+  await chrome.storage.local.set({ loginRequired: loginRequired });
+  
+  if (loginRequired) {
+    console.log('CourseWeb session expired - pausing update checks');
+    if (result.loginAlertShown) {
+      await refreshBadge();
+      return;
+    }
+    await chrome.storage.local.set({ loginAlertShown: true });
+    try {
+      await chrome.notifications.create(LOGIN_NOTIFICATION_ID, {
+        type: 'basic',
+        iconUrl: 'logo.png',
+        title: 'CourseWeb login required',
+        message: 'Your CourseWeb session has expired. Log in again to resume update checks.',
+        priority: 2
       });
+    } catch (error) {
+      console.error('Error showing login notification:', error);
+    }
+  } else {
+    console.log('CourseWeb session active - resuming update checks');
+    await chrome.notifications.clear(LOGIN_NOTIFICATION_ID);
+  }
+  
+  await refreshBadge();
+}
+
+/**
+ * Make sure the offscreen document used for HTML parsing exists.
+ * Service workers have no DOMParser, so parsing is delegated to it.
+ */
+async function ensureOffscreenDocument() {
+  const offscreenUrl = chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH);
+  const existingContexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [offscreenUrl]
+  });
+  
+  if (existingContexts.length > 0) {
+    return;
+  }
+  
+  // Avoid racing createDocument() calls when several checks start at once
+  if (!creatingOffscreenDocument) {
+    creatingOffscreenDocument = chrome.offscreen.createDocument({
+      url: OFFSCREEN_DOCUMENT_PATH,
+      reasons: ['DOM_PARSER'],
+      justification: 'Parse fetched CourseWeb pages to detect new content'
+    });
+  }
+  
+  try {
+    await creatingOffscreenDocument;
+  } finally {
+    creatingOffscreenDocument = null;
+  }
+}
+
+/**
+ * Parse a fetched section page in the offscreen document
+ * @param {string} html - HTML content
+ * @param {string} url - URL of the page
+ * @param {string|null} previousHash - Content hash from the last check, if any
+ * @param {Object} options - { extractorId, includeSideBlocks } from the section (a null
+ *   extractorId detects the page type) and ignoredUrlParams from the settings
+ * @returns {Promise<Object>} { snapshot, isLoginPage, contentHash, unchanged, extractorId }
+ */
+async function parseSectionPage(html, url, previousHash = null, options = {}) {
+  try {
+    await ensureOffscreenDocument();
+    
+    const response = await chrome.runtime.sendMessage({
+      target: 'offscreen',
+      action: 'PARSE_SECTION_HTML',
+      html: html,
+      url: url,
+      previousHash: previousHash,
+      extractorId: options.extractorId || null,
+      includeSideBlocks: !!options.includeSideBlocks,
+      ignoredUrlParams: options.ignoredUrlParams
+    });
+    
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No response from offscreen document');
+    }
+    
+    return {
+      snapshot: response.snapshot,
+      isLoginPage: response.isLoginPage,
+      contentHash: response.contentHash,
+      unchanged: response.unchanged,
+      extractorId: response.extractorId
+    };
+  } catch (error) {
+    console.error('Error parsing HTML:', error);
+    throw new Error(`Could not parse page: ${error.message}`);
+  }
+}
+
+/**
+ * Find the file embedded in or linked from a resource view page, using the
+ * offscreen document
+ * @param {string} html - HTML of the resource view page
+ * @param {string} url - URL the page was fetched from
+ * @returns {Promise<string|null>} pluginfile.php URL, or null if the page has none
+ */
+async function findResourceFileInPage(html, url) {
+  await ensureOffscreenDocument();
+  
+  const response = await chrome.runtime.sendMessage({
+    target: 'offscreen',
+    action: 'FIND_RESOURCE_FILE',
+    html: html,
+    url: url
+  });
+  
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'No response from offscreen document');
+  }
+  return response.fileUrl;
+}
+
+/**
+ * Read the file name from a file response
+ * @param {Response} response - Response for the file
+ * @returns {string} File name from Content-Disposition, or the last part of the URL
+ */
+function getResponseFileName(response) {
+  const disposition = response.headers.get('Content-Disposition') || '';
+  
+  const encoded = disposition.match(/filename\*\s*=\s*[^']*'[^']*'([^;]+)/i);
+  if (encoded) {
+    try {
+      return decodeURIComponent(encoded[1].trim().replace(/^"|"$/g, ''));
+    } catch (error) {
+      // Malformed encoding - fall through to the plain name
+    }
+  }
+  
+  const plain = disposition.match(/filename\s*=\s*"?([^";]+)"?/i);
+  if (plain) {
+    return plain[1].trim();
+  }
+  
+  return getUrlFileName(response.url);
+}
+
+/**
+ * Read the file name from the last part of a URL path
+ * @param {string} url - File URL
+ * @returns {string} Decoded file name ('' if the path ends in "/")
+ */
+function getUrlFileName(url) {
+  const lastSegment = new URL(url).pathname.split('/').pop() || '';
+  try {
+    return decodeURIComponent(lastSegment);
+  } catch (error) {
+    return lastSegment;
+  }
+}
+
+/**
+ * Classify new resource links from what the section page already shows,
+ * without any request: a pluginfile.php link names its file, and a
+ * mod/resource link carries Moodle's file type icon
+ * @param {Array} items - New snapshot items (mutated)
+ */
+function classifyResourceLinks(items) {
+  items.forEach(item => {
+    // Results keep their meaning whatever the file format
+    if (!item.url || item.type === 'result') {
+      return;
+    }
+    
+    if (PLUGINFILE_PATTERN.test(item.url) && !item.fileName) {
+      const fileName = getUrlFileName(item.url);
+      if (fileName) {
+        item.fileName = fileName;
+        item.type = classifyFile(fileName, null);
+      }
+    } else if (RESOURCE_PAGE_PATTERN.test(item.url) && FILE_ICON_TYPES[item.fileIcon]) {
+      item.type = FILE_ICON_TYPES[item.fileIcon];
+    }
+  });
+}
+
+/**
+ * Work out the item type of a file
+ * @param {string} fileName - File name
+ * @param {string|null} mimeType - MIME type reported by the server
+ * @returns {string} Item type (see ITEM_TYPE_LABELS), 'file' if unknown
+ */
+function classifyFile(fileName, mimeType) {
+  const extension = (fileName.match(/\.([a-z0-9]+)$/i) || [])[1];
+  const byExtension = extension && FILE_TYPE_RULES.find(rule => rule.extensions.includes(extension.toLowerCase()));
+  if (byExtension) {
+    return byExtension.type;
+  }
+  
+  const byMimeType = mimeType && FILE_TYPE_RULES.find(rule => rule.mimePattern.test(mimeType));
+  return byMimeType ? byMimeType.type : 'file';
+}
+
+/**
+ * Look up the file behind a resource link. view.php usually redirects to
+ * the file; when the resource is shown embedded or with a link instead, the
+ * file is found on that page. Only headers are downloaded for the file.
+ * @param {string} url - mod/resource/view.php URL
+ * @param {Object} settings - Settings from getSettings()
+ * @returns {Promise<Object|null>} { fileName, mimeType, size }, or null if no file was found
+ */
+async function resolveResourceFile(url, settings) {
+  const request = { method: 'HEAD', credentials: 'include', cache: 'no-store' };
+  
+  await waitForHostSlot(url, settings.minRequestSpacingMs);
+  let response = await fetch(url, request);
+  if (!response.ok || isLoginUrl(response.url)) {
+    return null;
+  }
+  
+  if (!PLUGINFILE_PATTERN.test(response.url)) {
+    // Only HTML view pages are worth downloading to look for the file
+    if (!(response.headers.get('Content-Type') || '').includes('text/html')) {
+      return null;
+    }
+    
+    await waitForHostSlot(url, settings.minRequestSpacingMs);
+    const page = await fetch(url, { credentials: 'include', cache: 'no-store' });
+    if (!page.ok || isLoginUrl(page.url)) {
+      return null;
+    }
+    
+    const fileUrl = await findResourceFileInPage(await page.text(), page.url);
+    if (!fileUrl) {
+      return null;
+    }
+    
+    await waitForHostSlot(fileUrl, settings.minRequestSpacingMs);
+    response = await fetch(fileUrl, request);
+    if (!response.ok || isLoginUrl(response.url)) {
+      return null;
+    }
+  }
+  
+  const size = parseInt(response.headers.get('Content-Length'), 10);
+  return {
+    fileName: getResponseFileName(response),
+    mimeType: (response.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase() || null,
+    size: Number.isNaN(size) ? null : size
+  };
+}
+
+/**
+ * Pick the new resource pages whose files are worth looking up for their
+ * exact name and size. Opening a mod/resource page counts as a view on
+ * CourseWeb (and can tick activity completion), so this only happens when
+ * the user allowed it; classifyResourceLinks() covers the rest.
+ * @param {Array} items - New snapshot items
+ * @param {Object} settings - Settings from getSettings()
+ * @returns {Array} Items to look up, at most MAX_RESOURCE_LOOKUPS
+ */
+function selectResourceLookups(items, settings) {
+  if (!settings.openResourcePages) {
+    return [];
+  }
+  return items
+    .filter(item => item.url && !item.fileName && RESOURCE_PAGE_PATTERN.test(item.url))
+    .slice(0, MAX_RESOURCE_LOOKUPS);
+}
+
+/**
+ * Look up the files behind a section's new resource links and record their
+ * file name, MIME type and size, classifying them by their actual file type
+ * so a lab ZIP behind a mod/resource link is no longer just an "activity".
+ * Runs after the check; the result is dropped if the snapshot was replaced
+ * in the meantime.
+ * @param {Object} lookup - { section, generation, items } collected by the check run
+ * @param {Object} settings - Settings from getSettings()
+ */
+async function resolveSectionResources({ section, generation, items }, settings) {
+  const filesById = new Map();
+  for (const item of items) {
+    try {
+      const file = await resolveResourceFile(item.url, settings);
+      if (!file || !file.fileName) {
+        continue;
+      }
       
-      console.log(`✅ Updates detected in ${section.name}: ${newItems.length} new item(s)`);
-      if (newItems.length > 0) {
-        console.log('New items:', newItems.slice(0, 5).map(i => i.name || i.url || i).join(', '));
+      // Results keep their meaning whatever the file format
+      file.type = item.type === 'result' ? item.type : classifyFile(file.fileName, file.mimeType);
+      filesById.set(getItemId(item), file);
+      console.log(`Resolved ${item.name}: ${file.fileName} (${file.mimeType || 'unknown type'}, ${file.type})`);
+    } catch (error) {
+      console.warn(`Could not look up the file behind ${item.url}:`, error.message);
+    }
+  }
+  if (filesById.size === 0) {
+    return;
+  }
+  
+  const applyFile = (item) => {
+    const file = item && filesById.get(getItemId(item));
+    if (file) {
+      Object.assign(item, file);
+    }
+  };
+  
+  await updateSectionAndSnapshot(section.id, (current, record) => {
+    if ((current.snapshotGeneration || 0) !== generation) {
+      console.log(`${section.name} was reset before its files were looked up`);
+      return false;
+    }
+    
+    record.snapshot.forEach(applyFile);
+    const version = record.history[record.history.length - 1];
+    if (version) {
+      (version.snapshot || []).forEach(applyFile);
+      if (version.changes) {
+        (version.changes.added || []).forEach(applyFile);
+      }
+    }
+    if (current.lastChanges) {
+      (current.lastChanges.added || []).forEach(applyFile);
+    }
+    (current.unreadItems || []).forEach(item => {
+      const file = filesById.get(item.id);
+      if (file) {
+        item.type = file.type;
+      }
+    });
+  });
+}
+
+/**
+ * Clear the "new" state of a section and its desktop notification
+ * @param {string} sectionId - ID of the section to clear
+ */
+async function clearSectionNotification(sectionId) {
+  await updateSavedSection(sectionId, (section) => {
+    section.hasNew = false;
+    section.lastChanges = null;
+    section.unreadItems = [];
+  });
+  await chrome.notifications.clear(NOTIFICATION_PREFIX + sectionId);
+  
+  // Update badge
+  await refreshBadge();
+}
+
+/**
+ * Add newly detected items to a section's unread list and drop removed ones
+ * @param {Object} section - Saved section (mutated)
+ * @param {Array} newItems - Added or renamed snapshot items
+ * @param {Array} removedItems - Items no longer on the page
+ */
+function updateUnreadItems(section, newItems, removedItems) {
+  const unreadById = new Map((section.unreadItems || []).map(item => [item.id, item]));
+  
+  removedItems.forEach(item => unreadById.delete(getItemId(item)));
+  newItems.forEach(item => {
+    const id = getItemId(item);
+    unreadById.set(id, {
+      id: id,
+      name: item.name || item.url,
+      url: item.url || null,
+      type: item.type,
+      sectionTitle: item.sectionTitle || null,
+      sectionOrder: typeof item.sectionOrder === 'number' ? item.sectionOrder : null,
+      detectedAt: section.lastChecked
+    });
+  });
+  
+  section.unreadItems = Array.from(unreadById.values());
+}
+
+/**
+ * Mark individual items of a section as read
+ * @param {string} sectionId - ID of the section
+ * @param {Array<string>} itemIds - IDs (from getItemId()) of the items read
+ */
+async function markItemsRead(sectionId, itemIds) {
+  const section = await updateSavedSection(sectionId, (current) => {
+    current.unreadItems = (current.unreadItems || []).filter(item => !itemIds.includes(item.id));
+    
+    // Keep the summary and re-shown notifications to what is still unread
+    if (current.lastChanges) {
+      const isUnread = item => !itemIds.includes(getItemId(item));
+      current.lastChanges = {
+        ...current.lastChanges,
+        added: (current.lastChanges.added || []).filter(isUnread),
+        modified: (current.lastChanges.modified || []).filter(isUnread)
+      };
+    }
+  });
+  if (!section) {
+    return;
+  }
+  
+  // Reading the last unread item reads the whole section
+  if (section.unreadItems.length === 0) {
+    await clearSectionNotification(sectionId);
+    return;
+  }
+  
+  await refreshBadge();
+}
+
+/**
+ * Check whether a section's alerts are currently snoozed
+ * @param {Object} section - Saved section
+ * @returns {boolean} True if snoozedUntil is in the future
+ */
+function isSectionSnoozed(section) {
+  return !!section.snoozedUntil && new Date(section.snoozedUntil).getTime() > Date.now();
+}
+
+/**
+ * Snooze (or un-snooze) desktop alerts for a section
+ * @param {string} sectionId - ID of the section
+ * @param {number} minutes - Snooze period; 0 removes the snooze
+ */
+async function snoozeSection(sectionId, minutes) {
+  await updateSavedSection(sectionId, (section) => {
+    section.snoozedUntil = minutes > 0
+      ? new Date(Date.now() + minutes * 60 * 1000).toISOString()
+      : null;
+  });
+  
+  if (minutes > 0) {
+    await chrome.notifications.clear(NOTIFICATION_PREFIX + sectionId);
+  }
+}
+
+/**
+ * Pick the URL a notification should open: the new PDF itself when exactly
+ * one PDF was added, otherwise the section page
+ * @param {Object} section - Saved section
+ * @returns {string} URL to open
+ */
+function getNotificationTargetUrl(section) {
+  const changes = section.lastChanges;
+  if (changes && (changes.modified || []).length === 0) {
+    const added = changes.added || [];
+    if (added.length === 1 && added[0].url && ['pdf', 'result'].includes(added[0].type)) {
+      return added[0].url;
+    }
+  }
+  return section.url;
+}
+
+/**
+ * Describe a new item with the course section it appeared in
+ * @param {Object} item - Added or renamed snapshot item
+ * @returns {string} e.g. "New in Week 7: Lecture 7 slides"
+ */
+function formatNewItem(item) {
+  const name = item.name || item.url || '';
+  return item.sectionTitle ? `New in ${item.sectionTitle}: ${name}` : name;
+}
+
+/**
+ * Show a desktop notification listing the new items of a section
+ * @param {Object} section - Section with a pending lastChanges changeset
+ */
+async function showSectionNotification(section) {
+  const changes = section.lastChanges;
+  if (!changes) {
+    return;
+  }
+  
+  const newItems = [
+    ...(changes.added || []),
+    ...(changes.modified || [])
+  ];
+  
+  if (newItems.length === 0) {
+    return;
+  }
+  
+  const listItems = newItems.slice(0, NOTIFICATION_MAX_ITEMS).map(item => ({
+    title: item.sectionTitle ? `New in ${item.sectionTitle}:` : (ITEM_TYPE_LABELS[item.type] || 'Update'),
+    message: item.name || item.url || ''
+  }));
+  
+  const moreCount = newItems.length - listItems.length;
+  const { snoozeMinutes, notificationStyle } = await getSettings();
+  
+  if (notificationStyle === 'off') {
+    return;
+  }
+  
+  // 'basic' notifications only carry a one-line summary
+  const content = notificationStyle === 'basic'
+    ? {
+        type: 'basic',
+        message: newItems.length === 1
+          ? formatNewItem(newItems[0]) || '1 new item'
+          : `${newItems.length} new items, including ${newItems[0].name || newItems[0].url}${newItems[0].sectionTitle ? ` (${newItems[0].sectionTitle})` : ''}`
+      }
+    : {
+        type: 'list',
+        message: `${newItems.length} new item(s)`,
+        items: listItems
+      };
+  
+  try {
+    // Reusing the section's ID replaces any notification still on screen.
+    // Chrome allows at most two buttons, so "Open" is a click on the body.
+    await chrome.notifications.create(NOTIFICATION_PREFIX + section.id, {
+      ...content,
+      iconUrl: 'logo.png',
+      title: `New in ${section.name}`,
+      contextMessage: moreCount > 0 ? `+${moreCount} more on CourseWeb` : 'CourseWeb',
+      buttons: [
+        { title: 'Mark as read' },
+        { title: `Snooze ${formatDuration(snoozeMinutes)}` }
+      ],
+      priority: 1
+    });
+  } catch (error) {
+    console.error(`Error showing notification for ${section.name}:`, error);
+  }
+}
+
+/**
+ * Hold alerts for sections until quiet hours end
+ * @param {Array} sections - Sections that would have been notified
+ * @param {Date} quietHoursEnd - End of the current quiet hours window
+ */
+async function holdAlerts(sections, quietHoursEnd) {
+  // Queued with the section updates so concurrent holds and deliveries keep every ID
+  await runSectionStoreTask(async () => {
+    const result = await chrome.storage.local.get(['heldAlertSectionIds']);
+    const heldIds = new Set(result.heldAlertSectionIds || []);
+    sections.forEach(section => heldIds.add(section.id));
+    await chrome.storage.local.set({ heldAlertSectionIds: Array.from(heldIds) });
+  });
+  await chrome.alarms.create(QUIET_HOURS_ALARM_NAME, { when: quietHoursEnd.getTime() });
+  
+  console.log(`Quiet hours - holding alerts for ${sections.length} section(s) until ${quietHoursEnd.toLocaleString()}`);
+}
+
+/**
+ * Deliver alerts held during quiet hours as a single catch-up summary
+ */
+async function deliverHeldAlerts() {
+  const settings = await getSettings();
+  
+  // Windows can run back to back (e.g. a changed schedule); wait for the real end
+  const quietHoursEnd = getQuietHoursEnd(settings.quietHours);
+  if (quietHoursEnd) {
+    await chrome.alarms.create(QUIET_HOURS_ALARM_NAME, { when: quietHoursEnd.getTime() });
+    return;
+  }
+  
+  const result = await runSectionStoreTask(async () => {
+    const stored = await chrome.storage.local.get(['savedSections', 'heldAlertSectionIds']);
+    await chrome.storage.local.set({ heldAlertSectionIds: [] });
+    return stored;
+  });
+  const heldIds = result.heldAlertSectionIds || [];
+  
+  // Sections read or snoozed in the meantime no longer need an alert
+  const sections = (result.savedSections || []).filter(section => {
+    return heldIds.includes(section.id) && section.hasNew && !isSectionSnoozed(section);
+  });
+  
+  await refreshBadge();
+  
+  if (sections.length === 1) {
+    await showSectionNotification(sections[0]);
+  } else if (sections.length > 1) {
+    await showSummaryNotification(sections);
+  }
+}
+
+/**
+ * Show one notification summarising new items across several sections
+ * @param {Array} sections - Sections with pending lastChanges changesets
+ */
+async function showSummaryNotification(sections) {
+  const { notificationStyle } = await getSettings();
+  if (notificationStyle === 'off') {
+    return;
+  }
+  
+  const listItems = sections.slice(0, NOTIFICATION_MAX_ITEMS).map(section => {
+    const changes = section.lastChanges || {};
+    const newItems = [...(changes.added || []), ...(changes.modified || [])];
+    return {
+      title: section.name,
+      message: `${newItems.length} new: ${newItems.slice(0, 3).map(item => item.name || item.url).join(', ')}`
+    };
+  });
+  const moreCount = sections.length - listItems.length;
+  
+  try {
+    await chrome.notifications.create(SUMMARY_NOTIFICATION_ID, {
+      type: notificationStyle === 'basic' ? 'basic' : 'list',
+      iconUrl: 'logo.png',
+      title: 'While you were away',
+      message: `New content in ${sections.length} saved sections`,
+      ...(notificationStyle === 'basic' ? {} : { items: listItems }),
+      contextMessage: moreCount > 0 ? `+${moreCount} more sections` : 'CourseWeb',
+      buttons: [{ title: 'Mark all as read' }],
+      priority: 1
+    });
+  } catch (error) {
+    console.error('Error showing summary notification:', error);
+  }
+}
+
+/**
+ * Point the digest alarm at the next digest time
+ * @param {Object} options
+ * @param {boolean} options.reset - Replace an existing alarm (after settings change or delivery)
+ */
+async function scheduleDigest({ reset = false } = {}) {
+  try {
+    const { digest } = await getSettings();
+    const existing = await chrome.alarms.get(DIGEST_ALARM_NAME);
+    
+    // Keep a pending alarm across worker restarts so an overdue digest still fires
+    if (existing && !reset) {
+      return;
+    }
+    
+    await chrome.alarms.clear(DIGEST_ALARM_NAME);
+    
+    const next = getNextDigestTime(digest);
+    if (next) {
+      await chrome.alarms.create(DIGEST_ALARM_NAME, { when: next.getTime() });
+      console.log(`Next digest scheduled for ${next.toLocaleString()}`);
+    }
+  } catch (error) {
+    console.error('Error scheduling digest:', error);
+  }
+}
+
+/**
+ * Compile items detected since the last digest, grouped by saved section
+ * @param {Array} savedSections - Saved sections
+ * @param {string} since - ISO timestamp of the previous digest
+ * @returns {Promise<Array>} [{ sectionId, sectionName, sectionUrl, items }]
+ */
+async function compileDigest(savedSections, since) {
+  const sinceTime = new Date(since).getTime();
+  const groups = [];
+  
+  for (const section of savedSections) {
+    const { snapshot } = await getSnapshotRecord(section.id);
+    const items = snapshot
+      .filter(item => item.detectedAt && new Date(item.detectedAt).getTime() > sinceTime)
+      .sort((a, b) => new Date(b.detectedAt) - new Date(a.detectedAt))
+      .map(item => ({
+        name: item.name,
+        url: item.url || null,
+        type: item.type,
+        detectedAt: item.detectedAt,
+        firstSeen: item.firstSeen || item.detectedAt,
+        sectionTitle: item.sectionTitle || null
+      }));
+    
+    if (items.length > 0) {
+      groups.push({
+        sectionId: section.id,
+        sectionName: section.name,
+        sectionUrl: section.url,
+        items: items
+      });
+    }
+  }
+  
+  return groups;
+}
+
+/**
+ * Build the digest, store it for the digest page and notify the user
+ */
+async function sendDigest() {
+  try {
+    const settings = await getSettings();
+    const result = await chrome.storage.local.get(['savedSections', 'lastDigestAt']);
+    const now = new Date();
+    
+    // First digest covers one period
+    const periodDays = settings.digest.frequency === 'weekly' ? 7 : 1;
+    const since = result.lastDigestAt || new Date(now.getTime() - periodDays * 24 * 60 * 60 * 1000).toISOString();
+    
+    const groups = await compileDigest(result.savedSections || [], since);
+    const itemCount = groups.reduce((total, group) => total + group.items.length, 0);
+    
+    await chrome.storage.local.set({
+      lastDigestAt: now.toISOString(),
+      lastDigest: {
+        generatedAt: now.toISOString(),
+        since: since,
+        groups: groups
+      }
+    });
+    
+    console.log(`Digest compiled: ${itemCount} item(s) in ${groups.length} section(s)`);
+    
+    if (itemCount === 0 || settings.notificationStyle === 'off') {
+      return;
+    }
+    
+    await chrome.notifications.create(DIGEST_NOTIFICATION_ID, {
+      type: settings.notificationStyle === 'basic' ? 'basic' : 'list',
+      iconUrl: 'logo.png',
+      title: `${settings.digest.frequency === 'weekly' ? 'Weekly' : 'Daily'} CourseWeb digest`,
+      message: `${itemCount} new item(s) in ${groups.length} section(s)`,
+      ...(settings.notificationStyle === 'basic' ? {} : {
+        items: groups.slice(0, NOTIFICATION_MAX_ITEMS).map(group => ({
+          title: group.sectionName,
+          message: group.items.slice(0, 3).map(item => item.name).join(', ')
+        }))
+      }),
+      contextMessage: 'Click to see everything',
+      priority: 1
+    });
+  } catch (error) {
+    console.error('Error sending digest:', error);
+  }
+}
+
+/**
+ * Mark every section with pending updates as read
+ */
+async function clearAllSectionNotifications() {
+  const result = await chrome.storage.local.get(['savedSections']);
+  for (const section of (result.savedSections || []).filter(s => s.hasNew)) {
+    await clearSectionNotification(section.id);
+  }
+}
+
+/**
+ * Open the section (or its single new PDF) when a notification is clicked
+ */
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  // The login prompt opens the CourseWeb login page
+  if (notificationId === LOGIN_NOTIFICATION_ID) {
+    await chrome.tabs.create({ url: LOGIN_URL });
+    await chrome.notifications.clear(notificationId);
+    return;
+  }
+  
+  if (notificationId === DIGEST_NOTIFICATION_ID) {
+    await chrome.tabs.create({ url: chrome.runtime.getURL(DIGEST_PAGE_PATH) });
+    await chrome.notifications.clear(notificationId);
+    return;
+  }
+  
+  // The quiet hours summary covers several sections, so open the dashboard
+  if (notificationId === SUMMARY_NOTIFICATION_ID) {
+    await chrome.tabs.create({ url: DASHBOARD_URL });
+    await chrome.notifications.clear(notificationId);
+    return;
+  }
+  
+  if (!notificationId.startsWith(NOTIFICATION_PREFIX)) {
+    return;
+  }
+  
+  const sectionId = notificationId.slice(NOTIFICATION_PREFIX.length);
+  const result = await chrome.storage.local.get(['savedSections']);
+  const section = (result.savedSections || []).find(s => s.id === sectionId);
+  
+  if (section) {
+    await chrome.tabs.create({ url: getNotificationTargetUrl(section) });
+    await clearSectionNotification(sectionId);
+  } else {
+    await chrome.notifications.clear(notificationId);
+  }
+});
+
+/**
+ * Handle the "Mark as read" and "Snooze" notification buttons (and
+ * "Mark all as read" on the quiet hours summary)
+ */
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+  if (notificationId === SUMMARY_NOTIFICATION_ID) {
+    await clearAllSectionNotifications();
+    await chrome.notifications.clear(notificationId);
+    return;
+  }
+  
+  if (!notificationId.startsWith(NOTIFICATION_PREFIX)) {
+    return;
+  }
+  
+  const sectionId = notificationId.slice(NOTIFICATION_PREFIX.length);
+  
+  if (buttonIndex === 0) {
+    await clearSectionNotification(sectionId);
+  } else if (buttonIndex === 1) {
+    const { snoozeMinutes } = await getSettings();
+    await snoozeSection(sectionId, snoozeMinutes);
+  }
+});
+
+/**
+ * Store settings from the options page and apply them straight away
+ * @param {Object} settings - Partial settings object
+ */
+async function applySettings(settings) {
+  const sanitized = sanitizeSettings(settings);
+  const previous = await getSettings();
+  await chrome.storage.local.set(sanitized);
+  
+  // Interval changes move every section's next check
+  if ('checkInterval' in sanitized) {
+    await updateSavedSections(savedSections => rescheduleSections(savedSections, sanitized.checkInterval));
+    await scheduleNextCheck();
+  }
+  
+  // Stored links are rewritten so the next check compares like with like.
+  // A parameter taken off the list cannot be put back into links it was
+  // stripped from, so then every section quietly takes a new baseline.
+  if ('ignoredUrlParams' in sanitized) {
+    const keptNames = new Set(sanitized.ignoredUrlParams.map(name => name.toLowerCase()));
+    const namesRemoved = previous.ignoredUrlParams.some(name => !keptNames.has(name.toLowerCase()));
+    await updateSavedSections(async (savedSections) => {
+      const sections = await canonicalizeStoredUrls(savedSections, sanitized.ignoredUrlParams);
+      if (namesRemoved) {
+        console.log('Link parameters no longer ignored - taking new baselines');
+        for (const section of sections) {
+          await clearStoredBaseline(section);
+        }
       }
-      
-      // Update last snapshot and check time
-      section.lastSnapshot = createStableSnapshot(newSnapshot);
-      section.lastChecked = new Date().toISOString();
-      return true;
-    } else {
-      console.log(`No changes detected in ${section.name}`);
-      // Update check time even if no changes
-      section.lastChecked = new Date().toISOString();
-      return false;
-    }
-  } catch (error) {
-    console.error(`Error checking ${section.name}:`, error);
-    return false;
+      return sections;
+    });
   }
+  
+  // Lower limits free space right away instead of after the next check
+  if ('historyLimit' in sanitized || 'historyRetentionDays' in sanitized) {
+    await enforceSnapshotRetention();
+  }
+  
+  // Alerts held for a window that no longer applies go out now
+  if ('quietHours' in sanitized) {
+    await deliverHeldAlerts();
+  }
+  
+  if ('digest' in sanitized) {
+    await scheduleDigest({ reset: true });
+  }
+  
+  await refreshBadge();
 }
 
 /**
- * Extract snapshot from HTML content
- * @param {string} html - HTML content
- * @param {string} url - URL of the page
- * @returns {Array} Array of snapshot items
+ * Clear every notification on screen whose ID starts with a prefix
+ * @param {string} prefix - Notification ID prefix ('' clears all)
  */
-function extractSnapshot(html, url) {
-  try {
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(html, 'text/html');
-    
-    // Detect page type and extract accordingly
-    if (isModulePage(url, doc)) {
-      return extractModulePageSnapshot(doc);
-    } else if (isResultsPage(url, doc)) {
-      return extractResultsPageSnapshot(doc);
-    } else {
-      // Generic page extraction
-      return extractGenericPageSnapshot(doc);
+async function clearNotifications(prefix = '') {
+  const notifications = await chrome.notifications.getAll();
+  for (const id of Object.keys(notifications)) {
+    if (id.startsWith(prefix)) {
+      await chrome.notifications.clear(id);
     }
-  } catch (error) {
-    console.error('Error parsing HTML:', error);
-    return [];
   }
 }
 
 /**
- * Check if page is a module page
+ * Add a favorite section and take its baseline right away
+ * @param {Object} sectionData - { name, url } of the section
+ * @returns {Promise<Array>} Saved sections after adding
  */
-function isModulePage(url, doc) {
-  return url.includes('/course/view.php') || 
-         url.includes('/mod/') ||
-         doc.querySelector('.activityinstance, .modtype_resource, .modtype_folder') !== null;
+async function addSection(sectionData) {
+  if (!sectionData || !sectionData.url || !sectionData.name) {
+    throw new Error('Section name and URL are required');
+  }
+  
+  // The same page linked with extra parameters or without "www." is still a duplicate
+  const { ignoredUrlParams } = await getSettings();
+  const url = canonicalizeUrl(sectionData.url, ignoredUrlParams);
+  
+  let added = false;
+  const savedSections = await updateSavedSections((sections) => {
+    if (sections.some(section => canonicalizeUrl(section.url, ignoredUrlParams) === url)) {
+      return;
+    }
+    sections.push({
+      id: generateUUID(),
+      name: sectionData.name,
+      url: url,
+      hasNew: false,
+      lastChecked: null
+    });
+    added = true;
+  });
+  
+  if (!added) {
+    throw new Error('This section is already saved!');
+  }
+  
+  // New sections have no nextCheckAt, so they are due immediately
+  checkAllSavedSections({ skipIfLoginRequired: true, dueOnly: true });
+  return savedSections;
 }
 
 /**
- * Check if page is a results page
+ * Remove a favorite section together with its snapshots and alerts
+ * @param {string} sectionId - ID of the section
+ * @returns {Promise<Array>} Saved sections after removing
  */
-function isResultsPage(url, doc) {
-  return url.includes('unofficial') || 
-         url.includes('result') ||
-         /unofficial.*result|result.*page/i.test(doc.title || '') ||
-         doc.querySelector('a[href*=".pdf"]') !== null;
+async function removeSection(sectionId) {
+  // The record goes in the same update, so a check still running cannot store it again
+  const savedSections = await updateSavedSections(async (sections) => {
+    await deleteSnapshotRecord(sectionId);
+    return sections.filter(section => section.id !== sectionId);
+  });
+  
+  await chrome.notifications.clear(NOTIFICATION_PREFIX + sectionId);
+  await refreshBadge();
+  await scheduleNextCheck();
+  return savedSections;
 }
 
 /**
- * Extract snapshot from module page (lecture PDFs, notices, files)
+ * Forget one section's snapshot and check it again right away, so the
+ * current page becomes the new baseline without raising alerts
+ * @param {string} sectionId - ID of the section
  */
-function extractModulePageSnapshot(doc) {
-  const snapshot = [];
-  const seen = new Set();
-  
-  // FIRST: Extract ALL PDF links (most important for detection)
-  // This should catch PDFs regardless of their container structure
-  const allPdfLinks = doc.querySelectorAll('a[href]');
-  allPdfLinks.forEach(link => {
-    const href = link.getAttribute('href') || link.href || '';
-    const fullUrl = href.startsWith('http') ? href : (new URL(href, doc.baseURI || 'https://www.courseweb.sliit.lk')).href;
+async function resetSectionBaseline(sectionId) {
+  const section = await updateSectionAndSnapshot(sectionId, (current, record) => {
+    Object.assign(current, {
+      hasNew: false,
+      lastChanges: null,
+      unreadItems: [],
+      contentHash: null,
+      httpValidators: null,
+      nextCheckAt: null
+    });
+    bumpSnapshotGeneration(current);
     
-    // Check if it's a PDF (case-insensitive, check both href and full URL)
-    if (href.toLowerCase().includes('.pdf') || fullUrl.toLowerCase().includes('.pdf')) {
-      const name = link.textContent.trim() || 
-                   link.title.trim() || 
-                   link.getAttribute('title') || 
-                   link.getAttribute('aria-label') ||
-                   fullUrl.split('/').pop() || 
-                   'PDF Document';
-      const url = fullUrl;
-      
-      // Use URL as primary key since it's unique
-      const key = url.toLowerCase();
-      
-      if (!seen.has(key) && url) {
-        seen.add(key);
-        snapshot.push({
-          name: name,
-          url: url,
-          type: 'pdf'
-        });
-      }
-    }
+    // History is kept, the fresh baseline is added to it as a new version
+    record.snapshot = [];
   });
+  if (!section) {
+    throw new Error('Section not found');
+  }
   
-  // Extract activity instances (lecture notes, PDFs, folders)
-  const activities = doc.querySelectorAll('.activityinstance, .modtype_resource, .modtype_folder, [class*="activity"], [class*="resource"]');
-  activities.forEach(activity => {
-    const link = activity.querySelector('a');
-    if (link) {
-      const href = link.getAttribute('href') || link.href || '';
-      const fullUrl = href.startsWith('http') ? href : (new URL(href, doc.baseURI || 'https://www.courseweb.sliit.lk')).href;
-      const name = link.textContent.trim() || link.title.trim() || link.getAttribute('title') || '';
-      const key = fullUrl.toLowerCase();
-      
-      if (name && !seen.has(key) && fullUrl) {
-        seen.add(key);
-        snapshot.push({
-          name: name,
-          url: fullUrl,
-          type: 'activity'
-        });
-      }
+  await chrome.notifications.clear(NOTIFICATION_PREFIX + sectionId);
+  await checkAllSavedSections({ skipIfLoginRequired: true, dueOnly: true });
+}
+
+/**
+ * Change how a section's page is read and take a fresh baseline with the
+ * new options, since items read differently would all show up as changes
+ * @param {string} sectionId - ID of the section
+ * @param {Object} options - Options to change: extractorId (null detects the
+ *   page type) and/or includeSideBlocks
+ */
+async function updateSectionExtraction(sectionId, options) {
+  const section = await updateSavedSection(sectionId, (current) => {
+    if ('extractorId' in options) {
+      current.extractorId = options.extractorId || null;
+    }
+    if ('includeSideBlocks' in options) {
+      current.includeSideBlocks = !!options.includeSideBlocks;
     }
   });
+  if (!section) {
+    throw new Error('Section not found');
+  }
   
-  // Extract file links (non-PDF files)
-  const fileLinks = doc.querySelectorAll('a[href*="file"], a[href*="resource"], a[href*="download"]');
-  fileLinks.forEach(link => {
-    const href = link.getAttribute('href') || link.href || '';
-    const fullUrl = href.startsWith('http') ? href : (new URL(href, doc.baseURI || 'https://www.courseweb.sliit.lk')).href;
-    
-    // Skip if already captured as PDF
-    if (fullUrl.toLowerCase().includes('.pdf')) {
-      return;
+  await resetSectionBaseline(sectionId);
+}
+
+/**
+ * Restore an earlier snapshot version as the baseline, discarding the
+ * versions after it. Use this when a noisy check produced a false alert:
+ * the next check compares against the restored version again.
+ * @param {string} sectionId - ID of the section
+ * @param {string} capturedAt - Timestamp identifying the version to restore
+ */
+async function rollbackSection(sectionId, capturedAt) {
+  const section = await updateSectionAndSnapshot(sectionId, (current, record) => {
+    const index = record.history.findIndex(version => version.capturedAt === capturedAt);
+    if (index === -1) {
+      throw new Error('Version not found');
     }
     
-    const name = link.textContent.trim() || link.title.trim() || link.getAttribute('title') || fullUrl.split('/').pop() || '';
-    const key = fullUrl.toLowerCase();
+    record.snapshot = record.history[index].snapshot;
+    record.history = record.history.slice(0, index + 1);
     
-    if (name && !seen.has(key) && fullUrl) {
-      seen.add(key);
-      snapshot.push({
-        name: name,
-        url: fullUrl,
-        type: 'file'
-      });
-    }
-  });
-  
-  // Extract announcements/notices
-  const notices = doc.querySelectorAll('.forum-post, .notice, .announcement, [class*="notice"], [class*="forum"]');
-  notices.forEach(notice => {
-    const title = notice.querySelector('h3, h4, .subject, .title, [class*="title"]')?.textContent.trim();
-    if (title && title.length > 3) {
-      const key = `notice|${title.toLowerCase()}`;
-      if (!seen.has(key)) {
-        seen.add(key);
-        snapshot.push({
-          name: title,
-          type: 'notice'
-        });
-      }
-    }
+    Object.assign(current, {
+      hasNew: false,
+      lastChanges: null,
+      unreadItems: [],
+      // Force a full comparison on the next check instead of trusting the cache
+      contentHash: null,
+      httpValidators: null
+    });
+    bumpSnapshotGeneration(current);
   });
+  if (!section) {
+    throw new Error('Section not found');
+  }
   
-  console.log(`Extracted ${snapshot.length} items from module page (${snapshot.filter(s => s.type === 'pdf').length} PDFs)`);
-  return snapshot;
+  await chrome.notifications.clear(NOTIFICATION_PREFIX + sectionId);
+  await refreshBadge();
 }
 
 /**
- * Extract snapshot from results page
+ * Rewrite the URLs of saved sections, their snapshots, changesets and unread
+ * items in canonical form. Sections that turn out to be the same page are
+ * merged into the first one, which takes over their unread items, pending
+ * changes and the shorter check interval. Runs inside a section store update.
+ * @param {Array} savedSections - Saved sections (changed in place)
+ * @param {Array<string>} ignoredParams - Query parameters to drop
+ * @returns {Promise<Array>} Saved sections without duplicates
  */
-function extractResultsPageSnapshot(doc) {
-  const snapshot = [];
-  const seen = new Set();
+async function canonicalizeStoredUrls(savedSections, ignoredParams) {
+  const canonicalizeItem = item => (item && item.url ? { ...item, url: canonicalizeUrl(item.url, ignoredParams) } : item);
+  const canonicalizeChanges = changes => changes && {
+    ...changes,
+    added: (changes.added || []).map(canonicalizeItem),
+    removed: (changes.removed || []).map(canonicalizeItem),
+    modified: (changes.modified || []).map(canonicalizeItem)
+  };
+  const keptByUrl = new Map();
   
-  // Extract ALL PDF links (results are typically PDFs)
-  // Use more comprehensive selector
-  const allLinks = doc.querySelectorAll('a[href]');
-  allLinks.forEach(link => {
-    const href = link.getAttribute('href') || link.href || '';
-    const fullUrl = href.startsWith('http') ? href : (new URL(href, doc.baseURI || 'https://www.courseweb.sliit.lk')).href;
+  for (const section of savedSections) {
+    section.url = canonicalizeUrl(section.url, ignoredParams);
+    section.lastChanges = canonicalizeChanges(section.lastChanges) || null;
+    const unreadItems = (section.unreadItems || []).map(canonicalizeItem)
+      .map(item => ({ ...item, id: getItemId(item) }));
     
-    // Check if it's a PDF (case-insensitive)
-    if (href.toLowerCase().includes('.pdf') || fullUrl.toLowerCase().includes('.pdf')) {
-      const name = link.textContent.trim() || 
-                   link.title.trim() || 
-                   link.getAttribute('title') ||
-                   link.getAttribute('aria-label') ||
-                   fullUrl.split('/').pop() || 
-                   'Result PDF';
-      const url = fullUrl;
-      
-      // Use URL as primary key since it's unique
-      const key = url.toLowerCase();
-      
-      if (!seen.has(key) && url) {
-        seen.add(key);
-        snapshot.push({
-          name: name,
-          url: url,
-          type: 'result'
-        });
+    const keptSection = keptByUrl.get(section.url);
+    if (keptSection) {
+      console.log(`Merging duplicate section ${section.name} (${section.url})`);
+      keptSection.unreadItems = [...keptSection.unreadItems, ...unreadItems];
+      if (section.hasNew && section.lastChanges) {
+        keptSection.lastChanges = mergeChangesets(keptSection.hasNew ? keptSection.lastChanges : null, section.lastChanges);
+        keptSection.hasNew = true;
+      }
+      if (section.checkInterval && (!keptSection.checkInterval || section.checkInterval < keptSection.checkInterval)) {
+        keptSection.checkInterval = section.checkInterval;
       }
+      await deleteSnapshotRecord(section.id);
+      continue;
     }
-  });
+    keptByUrl.set(section.url, section);
+    section.unreadItems = unreadItems;
+    bumpSnapshotGeneration(section);
+    
+    const record = await getSnapshotRecord(section.id);
+    if (record.snapshot.length > 0 || record.history.length > 0) {
+      record.snapshot = createStableSnapshot(record.snapshot.map(canonicalizeItem));
+      record.history.forEach(version => {
+        version.snapshot = createStableSnapshot((version.snapshot || []).map(canonicalizeItem));
+      });
+      await putSnapshotRecord(record);
+    }
+  }
   
-  // Extract any announcement or notice about results
-  const announcements = doc.querySelectorAll('.announcement, .notice, [class*="result"], [class*="message"]');
-  announcements.forEach(announcement => {
-    const text = announcement.textContent.trim();
-    if (text && text.length > 10 && text.length < 200) {
-      const key = `announcement|${text.toLowerCase()}`;
-      if (!seen.has(key)) {
-        seen.add(key);
-        snapshot.push({
-          name: text,
-          type: 'announcement'
-        });
+  // One unread entry per item, keeping the earliest detection
+  const kept = Array.from(keptByUrl.values());
+  kept.forEach(section => {
+    const unreadById = new Map();
+    section.unreadItems.forEach(item => {
+      const earlier = unreadById.get(item.id);
+      if (!earlier || (item.detectedAt && item.detectedAt < earlier.detectedAt)) {
+        unreadById.set(item.id, item);
       }
-    }
+    });
+    section.unreadItems = Array.from(unreadById.values());
   });
   
-  console.log(`Extracted ${snapshot.length} items from results page (${snapshot.filter(s => s.type === 'result').length} PDFs)`);
-  return snapshot;
+  return kept;
 }
 
 /**
- * Extract snapshot from generic page (fallback)
+ * Empty a section's current snapshot and fetch cache so its next check
+ * silently takes a fresh baseline. Runs inside a section store update.
+ * @param {Object} section - Saved section (mutated)
  */
-function extractGenericPageSnapshot(doc) {
-  const snapshot = [];
-  const seen = new Set();
+async function clearStoredBaseline(section) {
+  section.contentHash = null;
+  section.httpValidators = null;
+  bumpSnapshotGeneration(section);
   
-  // FIRST: Extract ALL PDF links (most important)
-  const allLinks = doc.querySelectorAll('a[href]');
-  allLinks.forEach(link => {
-    const href = link.getAttribute('href') || link.href || '';
-    const fullUrl = href.startsWith('http') ? href : (new URL(href, doc.baseURI || 'https://www.courseweb.sliit.lk')).href;
-    
-    // Check if it's a PDF
-    if (href.toLowerCase().includes('.pdf') || fullUrl.toLowerCase().includes('.pdf')) {
-      const name = link.textContent.trim() || 
-                   link.title.trim() || 
-                   link.getAttribute('title') ||
-                   fullUrl.split('/').pop() || 
-                   'PDF Document';
-      const url = fullUrl;
-      const key = url.toLowerCase();
-      
-      if (!seen.has(key) && url) {
-        seen.add(key);
-        snapshot.push({
-          name: name,
-          url: url,
-          type: 'pdf'
-        });
-      }
+  const record = await getSnapshotRecord(section.id);
+  record.snapshot = [];
+  await putSnapshotRecord(record);
+}
+
+/**
+ * Forget all snapshots so the next check silently takes a fresh baseline
+ */
+async function resetAllBaselines() {
+  await updateSavedSections(async (sections) => {
+    for (const section of sections) {
+      Object.assign(section, {
+        hasNew: false,
+        lastChanges: null,
+        unreadItems: [],
+        nextCheckAt: null
+      });
+      await clearStoredBaseline(section);
     }
   });
   
-  // Extract all meaningful links (non-PDF)
-  allLinks.forEach(link => {
-    const href = link.getAttribute('href') || link.href || '';
-    const fullUrl = href.startsWith('http') ? href : (new URL(href, doc.baseURI || 'https://www.courseweb.sliit.lk')).href;
-    
-    // Skip PDFs (already captured)
-    if (fullUrl.toLowerCase().includes('.pdf')) {
-      return;
-    }
-    
-    const name = link.textContent.trim() || link.title.trim() || link.getAttribute('title') || '';
-    
-    // Skip if it's not meaningful
-    if (!name || name.length < 3 || name.length > 200) {
-      return;
-    }
-    
-    // Skip common navigation elements
-    if (name.match(/^(home|back|next|previous|menu|login|logout)$/i)) {
-      return;
-    }
+  await clearNotifications(NOTIFICATION_PREFIX);
+  await refreshBadge();
+  await checkAllSavedSections();
+}
+
+/**
+ * Import favorites and settings from an exported JSON backup
+ * @param {Object} data - Parsed export file
+ * @returns {Promise<number>} Number of sections imported
+ */
+async function importData(data) {
+  if (!data || !Array.isArray(data.savedSections)) {
+    throw new Error('File does not contain any saved sections');
+  }
+  
+  const { ignoredUrlParams } = await getSettings();
+  let imported = [];
+  await updateSavedSections((savedSections) => {
+    const knownUrls = new Set(savedSections.map(section => canonicalizeUrl(section.url, ignoredUrlParams)));
     
-    const key = fullUrl.toLowerCase();
-    if (!seen.has(key) && fullUrl) {
-      seen.add(key);
-      snapshot.push({
-        name: name,
-        url: fullUrl,
-        type: 'link'
-      });
-    }
+    // Only add sections we do not have yet; they start with a fresh baseline
+    imported = data.savedSections
+      .filter(section => section && section.url && section.name)
+      .map(section => ({ ...section, url: canonicalizeUrl(section.url, ignoredUrlParams) }))
+      .filter(section => {
+        if (knownUrls.has(section.url)) {
+          return false;
+        }
+        knownUrls.add(section.url);
+        return true;
+      })
+      .map(section => ({
+        id: generateUUID(),
+        name: section.name,
+        url: section.url,
+        checkInterval: section.checkInterval || null,
+        extractorId: section.extractorId || null,
+        includeSideBlocks: !!section.includeSideBlocks,
+        hasNew: false,
+        lastChecked: null
+      }));
+    return [...savedSections, ...imported];
   });
-  
-  // Extract headings as content indicators
-  const headings = doc.querySelectorAll('h1, h2, h3');
-  headings.forEach(heading => {
-    const text = heading.textContent.trim();
-    if (text && text.length > 3 && text.length < 200) {
-      const key = `heading|${text.toLowerCase()}`;
-      if (!seen.has(key)) {
-        seen.add(key);
-        snapshot.push({
-          name: text,
-          type: 'heading'
-        });
-      }
-    }
+  await applySettings(data);
+  await scheduleNextCheck();
+  return imported.length;
+}
+
+/**
+ * Remove all favorites, snapshots and settings
+ */
+async function clearAllData() {
+  // Queued like any other update so a running check cannot restore old sections
+  await updateSavedSections(async () => {
+    await chrome.storage.local.clear();
+    await chrome.storage.local.set({ schemaVersion: CURRENT_SCHEMA_VERSION });
+    await clearSnapshotRecords();
+    return [];
   });
+  await clearNotifications();
+  
+  // Nothing is held any more, and the digest goes back to its default schedule
+  await chrome.alarms.clear(QUIET_HOURS_ALARM_NAME);
+  await scheduleDigest({ reset: true });
   
-  console.log(`Extracted ${snapshot.length} items from generic page (${snapshot.filter(s => s.type === 'pdf').length} PDFs)`);
-  return snapshot;
+  await refreshBadge();
+  await scheduleNextCheck();
+}
+
+/**
+ * Recompute the badge from storage. Updates held for quiet hours are not
+ * shown until the window ends.
+ */
+async function refreshBadge() {
+  try {
+    const result = await chrome.storage.local.get(['savedSections', 'heldAlertSectionIds']);
+    const savedSections = result.savedSections || [];
+    const settings = await getSettings();
+    const held = isWithinQuietHours(settings.quietHours) ? (result.heldAlertSectionIds || []) : [];
+    
+    // Sections flagged before per-item tracking count as a single unread item
+    const unreadCount = savedSections
+      .filter(s => s.hasNew && !held.includes(s.id))
+      .reduce((total, s) => total + Math.max((s.unreadItems || []).length, 1), 0);
+    const errorCount = savedSections.filter(s => s.lastError).length;
+    
+    await updateBadge({ unreadCount, errorCount });
+  } catch (error) {
+    console.error('Error refreshing badge state:', error);
+  }
 }
 
 /**
- * Update badge based on whether any sections have updates
+ * Update the badge text, colour and tooltip. Login required takes priority
+ * over unread updates, which take priority over failed checks.
+ * @param {Object} state - { unreadCount, errorCount }
  */
-async function updateBadge(hasUpdates) {
+async function updateBadge({ unreadCount = 0, errorCount = 0 } = {}) {
   try {
-    if (hasUpdates) {
+    const { loginRequired, badgeMode } = await chrome.storage.local.get({
+      loginRequired: false,
+      badgeMode: DEFAULT_SETTINGS.badgeMode
+    });
+    
+    // Login prompts are shown even when update badges are turned off
+    if (loginRequired) {
+      await chrome.action.setBadgeText({ text: '?' });
+      await chrome.action.setBadgeBackgroundColor({ color: BADGE_COLORS.loginRequired });
+      await chrome.action.setTitle({ title: 'CourseWeb Fav Navigator - log in to resume update checks' });
+      return;
+    }
+    
+    const titleParts = [];
+    if (unreadCount > 0) {
+      titleParts.push(`${unreadCount} unread update${unreadCount === 1 ? '' : 's'}`);
+    }
+    if (errorCount > 0) {
+      titleParts.push(`${errorCount} section${errorCount === 1 ? '' : 's'} could not be checked`);
+    }
+    await chrome.action.setTitle({
+      title: titleParts.length > 0 ? `CourseWeb Fav Navigator - ${titleParts.join(', ')}` : 'CourseWeb Fav Navigator'
+    });
+    
+    if (badgeMode === 'off') {
+      await chrome.action.setBadgeText({ text: '' });
+    } else if (unreadCount > 0) {
+      const text = badgeMode === 'dot' ? '•' : (unreadCount > 99 ? '99+' : String(unreadCount));
+      await chrome.action.setBadgeText({ text: text });
+      await chrome.action.setBadgeBackgroundColor({ color: BADGE_COLORS.updates });
+    } else if (errorCount > 0) {
       await chrome.action.setBadgeText({ text: '!' });
-      await chrome.action.setBadgeBackgroundColor({ color: '#ff0000' });
+      await chrome.action.setBadgeBackgroundColor({ color: BADGE_COLORS.errors });
     } else {
       await chrome.action.setBadgeText({ text: '' });
     }
@@ -547,37 +1950,159 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   
   // Handle clear notification request
   if (request.action === 'CLEAR_NOTIFICATION') {
-    chrome.storage.local.get(['savedSections'], (result) => {
-      const savedSections = result.savedSections || [];
-      const updatedSections = savedSections.map(section => {
-        if (section.id === request.sectionId) {
-          section.hasNew = false;
-        }
-        return section;
-      });
-      
-      chrome.storage.local.set({ savedSections: updatedSections }, () => {
-        // Update badge
-        const hasAnyUpdates = updatedSections.some(s => s.hasNew);
-        updateBadge(hasAnyUpdates);
-        sendResponse({ success: true });
-      });
+    clearSectionNotification(request.sectionId).then(() => {
+      sendResponse({ success: true });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  // Handle per-item read request from the popup
+  if (request.action === 'MARK_ITEMS_READ') {
+    markItemsRead(request.sectionId, request.itemIds || []).then(() => {
+      sendResponse({ success: true });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  // Handle snooze request from the popup
+  if (request.action === 'SNOOZE_SECTION') {
+    snoozeSection(request.sectionId, request.minutes).then(() => {
+      sendResponse({ success: true });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  // A logged-in CourseWeb tab means background checks can resume
+  if (request.action === 'COURSEWEB_SESSION_ACTIVE') {
+    chrome.storage.local.get(['loginRequired'], (result) => {
+      if (result.loginRequired) {
+        setLoginRequired(false).then(() => checkAllSavedSections());
+      }
+      sendResponse({ success: true });
     });
     return true;
   }
   
   // Handle update check interval
   if (request.action === 'UPDATE_CHECK_INTERVAL') {
-    chrome.storage.local.set({ checkInterval: request.interval }, () => {
-      startPeriodicCheck(request.interval);
+    applySettings({ checkInterval: request.interval }).then(() => {
+      sendResponse({ success: true });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  // Favorites are added and removed here so every write goes through the section store
+  if (request.action === 'ADD_SECTION') {
+    addSection(request.section).then((savedSections) => {
+      sendResponse({ success: true, savedSections: savedSections });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  if (request.action === 'REMOVE_SECTION') {
+    removeSection(request.sectionId).then((savedSections) => {
+      sendResponse({ success: true, savedSections: savedSections });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  // Handle settings changed on the options page
+  if (request.action === 'UPDATE_SETTINGS') {
+    applySettings(request.settings).then(() => {
+      sendResponse({ success: true });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  // Handle data management requests from the options page
+  if (request.action === 'RESET_BASELINES') {
+    resetAllBaselines().then(() => {
+      sendResponse({ success: true });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  if (request.action === 'RESET_SECTION_BASELINE') {
+    resetSectionBaseline(request.sectionId).then(() => {
+      sendResponse({ success: true });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  if (request.action === 'ROLLBACK_SECTION') {
+    rollbackSection(request.sectionId, request.capturedAt).then(() => {
+      sendResponse({ success: true });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  if (request.action === 'IMPORT_DATA') {
+    importData(request.data).then((count) => {
+      sendResponse({ success: true, count: count });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  if (request.action === 'CLEAR_ALL_DATA') {
+    clearAllData().then(() => {
+      sendResponse({ success: true });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  // Handle per-section check interval (null falls back to the global interval)
+  if (request.action === 'UPDATE_SECTION_INTERVAL') {
+    chrome.storage.local.get({ checkInterval: CHECK_INTERVAL_MINUTES }, ({ checkInterval }) => {
+      updateSavedSection(request.sectionId, (section) => {
+        section.checkInterval = request.interval || null;
+        rescheduleSections([section], checkInterval);
+      }).then((section) => {
+        scheduleNextCheck();
+        sendResponse({ success: !!section });
+      }).catch(error => {
+        sendResponse({ success: false, error: error.message });
+      });
+    });
+    return true;
+  }
+  
+  // Handle per-section page type and side block options
+  if (request.action === 'UPDATE_SECTION_EXTRACTION') {
+    updateSectionExtraction(request.sectionId, request.options || {}).then(() => {
       sendResponse({ success: true });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
     });
     return true;
   }
   
   // Handle badge state update request
   if (request.action === 'UPDATE_BADGE_STATE') {
-    updateBadge(request.hasUpdates);
+    refreshBadge();
     sendResponse({ success: true });
     return true;
   }
@@ -622,21 +2147,13 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   }
 });
 
-// Initialize badge state when service worker starts
-async function initializeBadgeState() {
-  try {
-    const result = await chrome.storage.local.get(['savedSections']);
-    const savedSections = result.savedSections || [];
-    const hasAnyUpdates = savedSections.some(s => s.hasNew);
-    await updateBadge(hasAnyUpdates);
-  } catch (error) {
-    console.error('Error initializing badge state:', error);
-  }
-}
-
-// Start periodic check when service worker starts
-chrome.storage.local.get(['checkInterval'], (result) => {
-  const interval = result.checkInterval || CHECK_INTERVAL_MINUTES;
-  startPeriodicCheck(interval);
-  initializeBadgeState();
+// Upgrade stored data left by older versions (a no-op once up to date);
+// checks wait for this so they never see the old layout
+const migrationsDone = runMigrations().catch(error => {
+  console.error('Error migrating storage:', error);
 });
+
+// Restore the schedule and badge when the service worker starts
+scheduleNextCheck();
+scheduleDigest();
+refreshBadge();
@@ -103,6 +103,38 @@ if (document.readyState === 'loading') {
   scanForPdfLinks();
 }
 
+/**
+ * Checks for definite signs of a logged-in session. Unlike isUserLoggedIn(),
+ * this never guesses from the URL: Moodle marks guest pages with
+ * body.notloggedin and only renders the user menu for a signed-in user.
+ * @returns {boolean} True only if the page shows a signed-in user
+ */
+function hasActiveSession() {
+  if (document.body.classList.contains('notloggedin')) {
+    return false;
+  }
+  return !!document.querySelector('[data-userid], .usermenu');
+}
+
+/**
+ * Tell the background when this tab is logged in, so update checks paused
+ * by an expired session can resume
+ */
+function reportSessionState() {
+  if (hasActiveSession()) {
+    chrome.runtime.sendMessage({ action: 'COURSEWEB_SESSION_ACTIVE' }, () => {
+      // Ignore errors (e.g. the extension was reloaded)
+      void chrome.runtime.lastError;
+    });
+  }
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', reportSessionState);
+} else {
+  reportSessionState();
+}
+
 /**
  * Scans the page for available sections (courses, years, unofficial results, etc.)
  * Returns all course-related sections that could contain results
@@ -0,0 +1,70 @@
+/**
+ * digest.js - Digest Page Script for CourseWeb Fav Navigator
+ * 
+ * Shows the most recent digest compiled by the background, with new
+ * items grouped by saved section (course).
+ */
+
+// Get DOM elements
+const digestPeriod = document.getElementById('digestPeriod');
+const digestGroups = document.getElementById('digestGroups');
+
+/**
+ * Describes where and when a digest item appeared. Renamed items also show
+ * when the file was first seen, since the rename is what put them in the digest.
+ * @param {Object} item - Digest item
+ * @returns {string} Date text, prefixed with the course section (week) if known
+ */
+function formatItemDate(item) {
+  const detected = new Date(item.detectedAt).toLocaleString();
+  const when = item.firstSeen && item.firstSeen !== item.detectedAt
+    ? `Renamed ${detected} · first seen ${new Date(item.firstSeen).toLocaleString()}`
+    : detected;
+  return item.sectionTitle ? `${item.sectionTitle} · ${when}` : when;
+}
+
+/**
+ * Renders one card per section with its new items
+ * @param {Object} digest - { generatedAt, since, groups }
+ */
+function renderDigest(digest) {
+  if (!digest) {
+    digestPeriod.textContent = 'No digest has been compiled yet. Turn on digests in the extension settings.';
+    return;
+  }
+  
+  digestPeriod.textContent = `New since ${new Date(digest.since).toLocaleString()} (compiled ${new Date(digest.generatedAt).toLocaleString()})`;
+  
+  if (digest.groups.length === 0) {
+    digestGroups.innerHTML = '<section class="options-card digest-empty">Nothing new in your saved sections.</section>';
+    return;
+  }
+  
+  digestGroups.innerHTML = '';
+  digest.groups.forEach(group => {
+    const card = document.createElement('section');
+    card.className = 'options-card';
+    card.innerHTML = `
+      <h2><a href="${escapeHtml(group.sectionUrl)}" target="_blank">${escapeHtml(group.sectionName)}</a></h2>
+      <ul class="digest-items">
+        ${group.items.map(item => `
+          <li>
+            <span class="digest-item-type">${ITEM_TYPE_LABELS[item.type] || 'Update'}</span>
+            ${item.url
+              ? `<a href="${escapeHtml(item.url)}" target="_blank">${escapeHtml(item.name)}</a>`
+              : `<span>${escapeHtml(item.name)}</span>`}
+            <span class="digest-item-date">${escapeHtml(formatItemDate(item))}</span>
+          </li>
+        `).join('')}
+      </ul>
+    `;
+    digestGroups.appendChild(card);
+  });
+}
+
+// Load the digest when the page opens
+document.addEventListener('DOMContentLoaded', () => {
+  chrome.storage.local.get(['lastDigest'], (result) => {
+    renderDigest(result.lastDigest || null);
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * history.js - Snapshot History Page Script for CourseWeb Fav Navigator
+ *
+ * Lists the stored snapshot versions of a saved section with the changes
+ * between them, and lets the user reset the baseline or restore an
+ * earlier version. Opened as history.html?section=<section id>.
+ * Versions are read from the snapshot database (utils/snapshot-db.js).
+ */
+
+// Get DOM elements
+const sectionSelect = document.getElementById('sectionSelect');
+const openSectionBtn = document.getElementById('openSectionBtn');
+const resetBaselineBtn = document.getElementById('resetBaselineBtn');
+const versionList = document.getElementById('versionList');
+
+// Saved sections as last read from storage
+let savedSections = [];
+
+/**
+ * Returns the section currently chosen in the selector
+ * @returns {Object|undefined} Saved section
+ */
+function getSelectedSection() {
+  return savedSections.find(section => section.id === sectionSelect.value);
+}
+
+/**
+ * Builds a short summary of the changes that produced a version
+ * @param {Object|null} changes - { added, removed, modified }, or null for a baseline
+ * @param {number} itemCount - Number of items in the version
+ * @returns {string} Summary text
+ */
+function formatVersionSummary(changes, itemCount) {
+  if (!changes) {
+    return `Baseline · ${itemCount} items`;
+  }
+  
+  const parts = [];
+  if (changes.added.length > 0) {
+    parts.push(`${changes.added.length} new`);
+  }
+  if (changes.modified.length > 0) {
+    parts.push(`${changes.modified.length} renamed`);
+  }
+  if (changes.removed.length > 0) {
+    parts.push(`${changes.removed.length} removed`);
+  }
+  parts.push(`${itemCount} items`);
+  return parts.join(' · ');
+}
+
+/**
+ * Renders one line per change of a version
+ * @param {Object} changes - { added, removed, modified }
+ * @returns {string} List items HTML
+ */
+function renderChanges(changes) {
+  const renderName = (name, url) => url
+    ? `<a href="${escapeHtml(url)}" target="_blank">${escapeHtml(name || url)}</a>`
+    : escapeHtml(name);
+  
+  return [
+    ...changes.added.map(item => `<li><span class="change-kind added">New</span>${renderName(item.name, item.url)}</li>`),
+    ...changes.modified.map(item => `<li><span class="change-kind">Renamed</span>${escapeHtml(item.oldName)} → ${renderName(item.name, item.url)}</li>`),
+    ...changes.removed.map(item => `<li><span class="change-kind removed">Removed</span>${escapeHtml(item.name || item.url)}</li>`)
+  ].join('');
+}
+
+/**
+ * Renders the versions of the selected section, newest first
+ */
+async function renderHistory() {
+  const section = getSelectedSection();
+  openSectionBtn.disabled = !section;
+  resetBaselineBtn.disabled = !section;
+  
+  if (!section) {
+    versionList.innerHTML = '<p class="history-empty">No saved sections yet.</p>';
+    return;
+  }
+  
+  const { history: versions } = await getSnapshotRecord(section.id);
+  versionList.innerHTML = '';
+  if (versions.length === 0) {
+    versionList.innerHTML = '<p class="history-empty">No versions recorded yet. A version is stored each time a check finds changes.</p>';
+    return;
+  }
+  
+  versions.slice().reverse().forEach((version, index) => {
+    const isCurrent = index === 0;
+    const card = document.createElement('section');
+    card.className = 'options-card';
+    card.innerHTML = `
+      <div class="version-header">
+        <div>
+          <h2>${new Date(version.capturedAt).toLocaleString()}</h2>
+          <div class="version-summary">${formatVersionSummary(version.changes, (version.snapshot || []).length)}</div>
+        </div>
+        ${isCurrent
+          ? '<span class="version-current">Current</span>'
+          : '<button class="secondary-btn restore-btn">Restore this version</button>'}
+      </div>
+      ${version.changes ? `<ul class="version-changes">${renderChanges(version.changes)}</ul>` : ''}
+    `;
+    
+    const restoreBtn = card.querySelector('.restore-btn');
+    if (restoreBtn) {
+      restoreBtn.addEventListener('click', () => restoreVersion(section, version));
+    }
+    
+    versionList.appendChild(card);
+  });
+}
+
+/**
+ * Makes an earlier version the section's baseline again
+ * @param {Object} section - Saved section
+ * @param {Object} version - Version to restore
+ */
+async function restoreVersion(section, version) {
+  const when = new Date(version.capturedAt).toLocaleString();
+  if (!confirm(`Restore the version from ${when}? Newer versions of "${section.name}" will be discarded.`)) {
+    return;
+  }
+  
+  try {
+    await sendToBackground({ action: 'ROLLBACK_SECTION', sectionId: section.id, capturedAt: version.capturedAt });
+    await loadSections();
+    showStatus(`Restored the version from ${when}`, 'success');
+  } catch (error) {
+    console.error('Error restoring version:', error);
+    showStatus('Could not restore this version. Please try again.', 'error');
+  }
+}
+
+/**
+ * Takes a fresh baseline of the selected section
+ */
+async function resetBaseline() {
+  const section = getSelectedSection();
+  if (!section || !confirm(`Clear the "new" markers of "${section.name}" and take a fresh snapshot now?`)) {
+    return;
+  }
+  
+  resetBaselineBtn.disabled = true;
+  showStatus('Taking a fresh snapshot...', 'info');
+  try {
+    await sendToBackground({ action: 'RESET_SECTION_BASELINE', sectionId: section.id });
+    await loadSections();
+    showStatus('Baseline reset', 'success');
+  } catch (error) {
+    console.error('Error resetting baseline:', error);
+    showStatus('Could not reset the baseline. Please try again.', 'error');
+  } finally {
+    resetBaselineBtn.disabled = false;
+  }
+}
+
+/**
+ * Loads saved sections into the selector and renders the chosen one
+ */
+async function loadSections() {
+  const result = await chrome.storage.local.get(['savedSections']);
+  savedSections = result.savedSections || [];
+  
+  const selectedId = sectionSelect.value || new URLSearchParams(location.search).get('section');
+  sectionSelect.innerHTML = '';
+  savedSections.forEach(section => {
+    sectionSelect.add(new Option(section.name, section.id));
+  });
+  if (savedSections.some(section => section.id === selectedId)) {
+    sectionSelect.value = selectedId;
+  }
+  
+  await renderHistory();
+}
+
+// Event listeners
+sectionSelect.addEventListener('change', () => {
+  history.replaceState(null, '', `?section=${encodeURIComponent(sectionSelect.value)}`);
+  showStatus('');
+  renderHistory();
+});
+openSectionBtn.addEventListener('click', () => {
+  const section = getSelectedSection();
+  if (section) {
+    chrome.tabs.create({ url: section.url });
+  }
+});
+resetBaselineBtn.addEventListener('click', resetBaseline);
+
+// Load history when the page opens
+document.addEventListener('DOMContentLoaded', loadSections);
@@ -0,0 +1,104 @@
+/**
+ * offscreen.js - Offscreen Document for CourseWeb Fav Navigator
+ * 
+ * The background service worker has no DOM, so it sends fetched section
+ * HTML here to be parsed and turned into a snapshot, and resource view
+ * pages here to find the file they embed.
+ */
+
+/**
+ * Parses HTML into a document whose relative links resolve against the page URL
+ * @param {string} html - HTML content
+ * @param {string} url - URL the HTML was fetched from
+ * @returns {Document} Parsed document
+ */
+function parseHtml(html, url) {
+  const parser = new DOMParser();
+  const doc = parser.parseFromString(html, 'text/html');
+  
+  // Without a <base>, relative hrefs would resolve against chrome-extension://
+  if (url && !doc.querySelector('base[href]')) {
+    const base = doc.createElement('base');
+    base.href = url;
+    doc.head.prepend(base);
+  }
+  
+  return doc;
+}
+
+/**
+ * Hashes a string with SHA-256
+ * @param {string} text - Text to hash
+ * @returns {Promise<string>} Hex digest
+ */
+async function hashString(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Parses a section page and extracts its snapshot, unless the content
+ * region hashes to the same value as last time
+ * @param {Object} request - PARSE_SECTION_HTML message
+ * @returns {Promise<Object>} { snapshot, isLoginPage, contentHash, unchanged, extractorId }
+ */
+async function parseSectionHtml(request) {
+  const doc = parseHtml(request.html, request.url);
+  
+  if (isLoginPage(doc)) {
+    return { snapshot: [], isLoginPage: true, contentHash: null, unchanged: false, extractorId: null };
+  }
+  
+  const includeSideBlocks = !!request.includeSideBlocks;
+  const contentHash = await hashString(getContentFingerprint(doc, includeSideBlocks));
+  if (request.previousHash && request.previousHash === contentHash) {
+    return { snapshot: [], isLoginPage: false, contentHash: contentHash, unchanged: true, extractorId: null };
+  }
+  
+  const { snapshot, extractorId } = extractSnapshotFromDocument(doc, request.url, {
+    extractorId: request.extractorId || null,
+    includeSideBlocks: includeSideBlocks,
+    ignoredUrlParams: request.ignoredUrlParams
+  });
+  return { snapshot: snapshot, isLoginPage: false, contentHash: contentHash, unchanged: false, extractorId: extractorId };
+}
+
+/**
+ * Finds the file linked or embedded by a resource view page
+ * @param {Object} request - FIND_RESOURCE_FILE message
+ * @returns {Object} { fileUrl } - null if the page has no file
+ */
+function findResourceFile(request) {
+  const doc = parseHtml(request.html, request.url);
+  return { fileUrl: isLoginPage(doc) ? null : findResourceFileUrl(doc) };
+}
+
+/**
+ * Listen for parse requests from the background service worker
+ */
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  // Ignore messages meant for the background or content scripts
+  if (request.target !== 'offscreen') {
+    return;
+  }
+  
+  if (request.action === 'PARSE_SECTION_HTML') {
+    parseSectionHtml(request).then(result => {
+      sendResponse({ success: true, ...result });
+    }).catch(error => {
+      console.error('Error parsing section HTML:', error);
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  if (request.action === 'FIND_RESOURCE_FILE') {
+    try {
+      sendResponse({ success: true, ...findResourceFile(request) });
+    } catch (error) {
+      console.error('Error reading resource page:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+    return false;
+  }
+});
@@ -0,0 +1,349 @@
+/**
+ * options.js - Options Page Script for CourseWeb Fav Navigator
+ * 
+ * This script handles:
+ * - Loading and saving user settings
+ * - Applying interval changes to the background scheduler
+ * - Exporting, importing and clearing stored data
+ */
+
+// Get DOM elements
+const checkIntervalSelect = document.getElementById('checkInterval');
+const checkConcurrencyInput = document.getElementById('checkConcurrency');
+const minRequestSpacingInput = document.getElementById('minRequestSpacing');
+const ignoredUrlParamsInput = document.getElementById('ignoredUrlParams');
+const openResourcePagesInput = document.getElementById('openResourcePages');
+const notificationStyleSelect = document.getElementById('notificationStyle');
+const snoozeMinutesSelect = document.getElementById('snoozeMinutes');
+const quietHoursEnabledInput = document.getElementById('quietHoursEnabled');
+const quietHoursTimes = document.getElementById('quietHoursTimes');
+const badgeModeSelect = document.getElementById('badgeMode');
+const digestEnabledInput = document.getElementById('digestEnabled');
+const digestOptions = document.getElementById('digestOptions');
+const digestFrequencySelect = document.getElementById('digestFrequency');
+const digestWeekdayRow = document.getElementById('digestWeekdayRow');
+const digestWeekdaySelect = document.getElementById('digestWeekday');
+const digestTimeInput = document.getElementById('digestTime');
+const digestInstantAlertsInput = document.getElementById('digestInstantAlerts');
+const exportBtn = document.getElementById('exportBtn');
+const importBtn = document.getElementById('importBtn');
+const importFile = document.getElementById('importFile');
+const historyLimitInput = document.getElementById('historyLimit');
+const historyRetentionDaysInput = document.getElementById('historyRetentionDays');
+const storageUsage = document.getElementById('storageUsage');
+const resetBaselinesBtn = document.getElementById('resetBaselinesBtn');
+const clearAllBtn = document.getElementById('clearAllBtn');
+
+// Weekday names for the quiet hours table (Sunday = 0, like Date.getDay())
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Makes sure a select shows a stored value, even if it is not a preset
+ * @param {HTMLSelectElement} select - Select element
+ * @param {number} minutes - Stored value in minutes
+ */
+function selectMinutes(select, minutes) {
+  const value = String(minutes);
+  if (!Array.from(select.options).some(option => option.value === value)) {
+    select.add(new Option(formatDuration(minutes), value));
+  }
+  select.value = value;
+}
+
+/**
+ * Shows or hides the quiet hours time ranges
+ */
+function updateQuietHoursVisibility() {
+  quietHoursTimes.style.display = quietHoursEnabledInput.checked ? 'block' : 'none';
+}
+
+/**
+ * Renders one quiet hours row per weekday
+ * @param {Array} days - [{ enabled, start, end }] indexed Sunday = 0
+ */
+function renderQuietHoursDays(days) {
+  quietHoursTimes.innerHTML = '';
+  
+  days.forEach((day, index) => {
+    const row = document.createElement('div');
+    row.className = 'option-row quiet-hours-day';
+    row.innerHTML = `
+      <label>
+        <input type="checkbox" class="quiet-day-enabled" ${day.enabled ? 'checked' : ''}>
+        ${WEEKDAY_NAMES[index]}
+      </label>
+      <span class="time-range">
+        <input type="time" class="quiet-day-start" value="${day.start}">
+        <span>to</span>
+        <input type="time" class="quiet-day-end" value="${day.end}">
+      </span>
+    `;
+    row.querySelectorAll('input').forEach(input => input.addEventListener('change', saveQuietHours));
+    quietHoursTimes.appendChild(row);
+  });
+}
+
+/**
+ * Shows only the digest options that apply
+ */
+function updateDigestVisibility() {
+  digestOptions.style.display = digestEnabledInput.checked ? 'block' : 'none';
+  digestWeekdayRow.style.display = digestFrequencySelect.value === 'weekly' ? 'flex' : 'none';
+}
+
+/**
+ * Saves the digest settings
+ */
+function saveDigest() {
+  updateDigestVisibility();
+  saveSettings({
+    digest: {
+      enabled: digestEnabledInput.checked,
+      frequency: digestFrequencySelect.value,
+      weekday: parseInt(digestWeekdaySelect.value, 10),
+      time: digestTimeInput.value || DEFAULT_SETTINGS.digest.time,
+      instantAlerts: digestInstantAlertsInput.checked
+    }
+  });
+}
+
+/**
+ * Loads settings from storage into the form
+ */
+async function loadSettings() {
+  const settings = await getSettings();
+  
+  selectMinutes(checkIntervalSelect, settings.checkInterval);
+  checkConcurrencyInput.value = settings.checkConcurrency;
+  minRequestSpacingInput.value = settings.minRequestSpacingMs / 1000;
+  ignoredUrlParamsInput.value = settings.ignoredUrlParams.join(', ');
+  openResourcePagesInput.checked = settings.openResourcePages;
+  notificationStyleSelect.value = settings.notificationStyle;
+  selectMinutes(snoozeMinutesSelect, settings.snoozeMinutes);
+  quietHoursEnabledInput.checked = settings.quietHours.enabled;
+  renderQuietHoursDays(settings.quietHours.days);
+  badgeModeSelect.value = settings.badgeMode;
+  digestEnabledInput.checked = settings.digest.enabled;
+  digestFrequencySelect.value = settings.digest.frequency;
+  digestWeekdaySelect.value = settings.digest.weekday;
+  digestTimeInput.value = settings.digest.time;
+  digestInstantAlertsInput.checked = settings.digest.instantAlerts;
+  historyLimitInput.value = settings.historyLimit;
+  historyRetentionDaysInput.value = settings.historyRetentionDays;
+  
+  updateQuietHoursVisibility();
+  updateDigestVisibility();
+  showStorageUsage();
+}
+
+/**
+ * Shows how much of the browser's storage quota the extension uses
+ */
+async function showStorageUsage() {
+  if (!navigator.storage || !navigator.storage.estimate) {
+    return;
+  }
+  
+  const { usage, quota } = await navigator.storage.estimate();
+  const toMegabytes = bytes => (bytes / (1024 * 1024)).toFixed(1);
+  storageUsage.textContent = `Snapshots use ${toMegabytes(usage)} MB of ${toMegabytes(quota)} MB available. Older versions are dropped automatically when space runs low.`;
+}
+
+/**
+ * Saves settings through the background so changes apply immediately
+ * @param {Object} settings - Partial settings object
+ */
+async function saveSettings(settings) {
+  try {
+    await sendToBackground({ action: 'UPDATE_SETTINGS', settings: settings });
+    showStatus('Settings saved', 'success');
+  } catch (error) {
+    console.error('Error saving settings:', error);
+    showStatus('Could not save settings. Please try again.', 'error');
+  }
+}
+
+/**
+ * Saves the global check interval using the existing background message
+ */
+async function saveCheckInterval() {
+  try {
+    await sendToBackground({
+      action: 'UPDATE_CHECK_INTERVAL',
+      interval: parseInt(checkIntervalSelect.value, 10)
+    });
+    showStatus('Check interval updated', 'success');
+  } catch (error) {
+    console.error('Error saving check interval:', error);
+    showStatus('Could not update check interval. Please try again.', 'error');
+  }
+}
+
+/**
+ * Saves the quiet hours windows for every weekday
+ */
+function saveQuietHours() {
+  updateQuietHoursVisibility();
+  
+  const defaultDay = DEFAULT_SETTINGS.quietHours.days[0];
+  const days = Array.from(quietHoursTimes.querySelectorAll('.quiet-hours-day')).map(row => ({
+    enabled: row.querySelector('.quiet-day-enabled').checked,
+    start: row.querySelector('.quiet-day-start').value || defaultDay.start,
+    end: row.querySelector('.quiet-day-end').value || defaultDay.end
+  }));
+  
+  saveSettings({
+    quietHours: {
+      enabled: quietHoursEnabledInput.checked,
+      days: days
+    }
+  });
+}
+
+/**
+ * Downloads favorites and settings as a JSON file
+ */
+async function exportData() {
+  const settings = await getSettings();
+  const { savedSections } = await chrome.storage.local.get(['savedSections']);
+  
+  // Snapshots are rebuilt on import, so only the essentials are exported
+  const data = {
+    ...settings,
+    exportedAt: new Date().toISOString(),
+    savedSections: (savedSections || []).map(section => ({
+      name: section.name,
+      url: section.url,
+      checkInterval: section.checkInterval || null,
+      extractorId: section.extractorId || null,
+      includeSideBlocks: !!section.includeSideBlocks
+    }))
+  };
+  
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `courseweb-favorites-${new Date().toISOString().slice(0, 10)}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+  
+  showStatus(`Exported ${data.savedSections.length} favorite(s)`, 'success');
+}
+
+/**
+ * Imports favorites and settings from the chosen JSON file
+ */
+async function importData() {
+  const file = importFile.files[0];
+  if (!file) {
+    return;
+  }
+  
+  try {
+    const data = JSON.parse(await file.text());
+    const response = await sendToBackground({ action: 'IMPORT_DATA', data: data });
+    await loadSettings();
+    showStatus(`Imported ${response.count} new favorite(s)`, 'success');
+  } catch (error) {
+    console.error('Error importing data:', error);
+    showStatus(`Import failed: ${error.message}`, 'error');
+  } finally {
+    importFile.value = '';
+  }
+}
+
+/**
+ * Clears all snapshots so every section takes a fresh baseline
+ */
+async function resetBaselines() {
+  if (!confirm('Clear all "new" markers and take a fresh snapshot of every saved section?')) {
+    return;
+  }
+  
+  resetBaselinesBtn.disabled = true;
+  showStatus('Resetting baselines...', 'info');
+  try {
+    await sendToBackground({ action: 'RESET_BASELINES' });
+    showStatus('Baselines reset', 'success');
+  } catch (error) {
+    console.error('Error resetting baselines:', error);
+    showStatus('Could not reset baselines. Please try again.', 'error');
+  } finally {
+    resetBaselinesBtn.disabled = false;
+  }
+}
+
+/**
+ * Removes all favorites, snapshots and settings
+ */
+async function clearAllData() {
+  if (!confirm('Remove all saved sections and settings? This cannot be undone.')) {
+    return;
+  }
+  
+  try {
+    await sendToBackground({ action: 'CLEAR_ALL_DATA' });
+    await loadSettings();
+    showStatus('All data removed', 'success');
+  } catch (error) {
+    console.error('Error clearing data:', error);
+    showStatus('Could not remove data. Please try again.', 'error');
+  }
+}
+
+// Event listeners
+checkIntervalSelect.addEventListener('change', saveCheckInterval);
+checkConcurrencyInput.addEventListener('change', () => {
+  const value = Math.min(Math.max(parseInt(checkConcurrencyInput.value, 10) || 1, 1), 6);
+  checkConcurrencyInput.value = value;
+  saveSettings({ checkConcurrency: value });
+});
+minRequestSpacingInput.addEventListener('change', () => {
+  const seconds = Math.min(Math.max(parseFloat(minRequestSpacingInput.value) || 0, 0), 30);
+  minRequestSpacingInput.value = seconds;
+  saveSettings({ minRequestSpacingMs: Math.round(seconds * 1000) });
+});
+ignoredUrlParamsInput.addEventListener('change', () => {
+  const names = parseIgnoredUrlParams(ignoredUrlParamsInput.value);
+  ignoredUrlParamsInput.value = names.join(', ');
+  saveSettings({ ignoredUrlParams: names });
+});
+openResourcePagesInput.addEventListener('change', () => {
+  saveSettings({ openResourcePages: openResourcePagesInput.checked });
+});
+notificationStyleSelect.addEventListener('change', () => {
+  saveSettings({ notificationStyle: notificationStyleSelect.value });
+});
+snoozeMinutesSelect.addEventListener('change', () => {
+  saveSettings({ snoozeMinutes: parseInt(snoozeMinutesSelect.value, 10) });
+});
+quietHoursEnabledInput.addEventListener('change', saveQuietHours);
+badgeModeSelect.addEventListener('change', () => {
+  saveSettings({ badgeMode: badgeModeSelect.value });
+});
+historyLimitInput.addEventListener('change', () => {
+  const value = Math.min(Math.max(parseInt(historyLimitInput.value, 10) || 1, 1), 50);
+  historyLimitInput.value = value;
+  saveSettings({ historyLimit: value });
+});
+historyRetentionDaysInput.addEventListener('change', () => {
+  const value = Math.min(Math.max(parseInt(historyRetentionDaysInput.value, 10) || 0, 0), 365);
+  historyRetentionDaysInput.value = value;
+  saveSettings({ historyRetentionDays: value });
+});
+[digestEnabledInput, digestFrequencySelect, digestWeekdaySelect, digestTimeInput, digestInstantAlertsInput].forEach(input => {
+  input.addEventListener('change', saveDigest);
+});
+exportBtn.addEventListener('click', exportData);
+importBtn.addEventListener('click', () => importFile.click());
+importFile.addEventListener('change', importData);
+resetBaselinesBtn.addEventListener('click', resetBaselines);
+clearAllBtn.addEventListener('click', clearAllData);
+
+// Fill weekday choices for weekly digests
+WEEKDAY_NAMES.forEach((name, index) => {
+  digestWeekdaySelect.add(new Option(name, String(index)));
+});
+
+// Load settings when the page opens
+document.addEventListener('DOMContentLoaded', loadSettings);
@@ -15,11 +15,18 @@ const sectionDropdown = document.getElementById('sectionDropdown');
 const searchResultsCount = document.getElementById('searchResultsCount');
 const saveSectionBtn = document.getElementById('saveSectionBtn');
 const checkUpdatesBtn = document.getElementById('checkUpdatesBtn');
+const openOptionsBtn = document.getElementById('openOptionsBtn');
 const savedSectionsContainer = document.getElementById('savedSectionsContainer');
 
 // Store all sections for filtering
 let allSections = [];
 let selectedSection = null; // Currently selected section
+const expandedSectionIds = new Set(); // Saved sections with their settings panel open
+const expandedUnreadIds = new Set(); // Saved sections with their unread list open
+let announcedUpdateCount = 0; // Sections with updates when the notification card was last considered
+
+// Snooze periods offered per saved section (minutes)
+const SNOOZE_OPTIONS = [60, 4 * 60, 24 * 60, 7 * 24 * 60];
 
 /**
  * Checks if the current tab is a CourseWeb page
@@ -261,44 +268,110 @@ function navigateToSavedSection(sectionUrl, sectionId = null) {
  * @param {string} sectionId - Section ID to clear notification for
  */
 function clearSectionNotification(sectionId) {
+  // The list re-renders from the storage change; the background updates the badge
   chrome.runtime.sendMessage({
     action: 'CLEAR_NOTIFICATION',
     sectionId: sectionId
+  });
+}
+
+/**
+ * Marks individual unread items of a saved section as read
+ * @param {string} sectionId - Section ID the items belong to
+ * @param {Array<string>} itemIds - Item IDs (see getItemId) to mark as read
+ */
+function markItemsRead(sectionId, itemIds) {
+  chrome.runtime.sendMessage({
+    action: 'MARK_ITEMS_READ',
+    sectionId: sectionId,
+    itemIds: itemIds
+  });
+}
+
+/**
+ * Sets how often a saved section is checked in the background
+ * @param {string} sectionId - Section ID to update
+ * @param {number|null} interval - Interval in minutes, or null for the default
+ */
+function updateSectionInterval(sectionId, interval) {
+  chrome.runtime.sendMessage({
+    action: 'UPDATE_SECTION_INTERVAL',
+    sectionId: sectionId,
+    interval: interval
   }, (response) => {
     if (response && response.success) {
-      // Reload saved sections to update UI
-      loadSavedSections();
-      // Update badge state
-      updateBadgeState();
+      showStatus(interval ? `Checking every ${formatDuration(interval)}` : 'Using the default check interval', 'success');
+    } else {
+      showStatus('Could not update check interval. Please try again.', 'error');
     }
   });
 }
 
 /**
- * Removes a saved section
- * @param {string} sectionUrl - URL of the section to remove
+ * Changes how a saved section's page is read; this takes a fresh baseline
+ * @param {string} sectionId - Section ID to update
+ * @param {Object} options - extractorId (null detects the page type) and/or includeSideBlocks
+ * @param {string} successMessage - Status shown once the change is saved
  */
-function removeSavedSection(sectionUrl) {
-  chrome.storage.local.get(['savedSections'], (result) => {
-    const savedSections = result.savedSections || [];
+function updateSectionExtraction(sectionId, options, successMessage) {
+  showStatus('Taking a fresh snapshot...', 'info');
+  chrome.runtime.sendMessage({
+    action: 'UPDATE_SECTION_EXTRACTION',
+    sectionId: sectionId,
+    options: options
+  }, (response) => {
+    if (response && response.success) {
+      showStatus(successMessage, 'success');
+    } else {
+      showStatus('Could not change how this section is read. Please try again.', 'error');
+    }
+  });
+}
+
+/**
+ * Snoozes desktop alerts for a saved section
+ * @param {string} sectionId - Section ID to snooze
+ * @param {number} minutes - Snooze period in minutes (0 resumes alerts)
+ */
+function snoozeSavedSection(sectionId, minutes) {
+  chrome.runtime.sendMessage({
+    action: 'SNOOZE_SECTION',
+    sectionId: sectionId,
+    minutes: minutes
+  }, (response) => {
+    if (response && response.success) {
+      showStatus(minutes > 0 ? `Alerts snoozed for ${formatDuration(minutes)}` : 'Alerts resumed', 'success');
+    } else {
+      showStatus('Could not update snooze. Please try again.', 'error');
+    }
+  });
+}
+
+/**
+ * Removes a saved section through the background, which owns all writes
+ * @param {string} sectionId - ID of the section to remove
+ */
+function removeSavedSection(sectionId) {
+  chrome.runtime.sendMessage({
+    action: 'REMOVE_SECTION',
+    sectionId: sectionId
+  }, (response) => {
+    if (!response || !response.success) {
+      showStatus('Could not remove section. Please try again.', 'error');
+      return;
+    }
     
-    // Remove the section from array
-    const updatedSections = savedSections.filter(section => section.url !== sectionUrl);
+    showStatus('Section removed successfully!', 'success');
+    loadSavedSectionIntoSelect();
     
-    chrome.storage.local.set({ savedSections: updatedSections }, () => {
-      showStatus('Section removed successfully!', 'success');
-      loadSavedSections();
-      loadSavedSectionIntoSelect();
-      
-      // Notify content script about updated sections
-      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-        if (tabs.length > 0 && tabs[0].url && tabs[0].url.includes('courseweb.sliit.lk')) {
-          chrome.tabs.sendMessage(tabs[0].id, {
-            action: 'UPDATE_SAVED_SECTIONS',
-            sections: updatedSections
-          });
-        }
-      });
+    // Notify content script about updated sections
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      if (tabs.length > 0 && tabs[0].url && tabs[0].url.includes('courseweb.sliit.lk')) {
+        chrome.tabs.sendMessage(tabs[0].id, {
+          action: 'UPDATE_SAVED_SECTIONS',
+          sections: response.savedSections
+        });
+      }
     });
   });
 }
@@ -307,8 +380,9 @@ function removeSavedSection(sectionUrl) {
  * Loads saved sections from storage and displays them
  */
 function loadSavedSections() {
-  chrome.storage.local.get(['savedSections'], (result) => {
+  chrome.storage.local.get(['savedSections', 'checkInterval'], (result) => {
     const savedSections = result.savedSections || [];
+    const defaultInterval = result.checkInterval || DEFAULT_SETTINGS.checkInterval;
     
     if (savedSections.length === 0) {
       savedSectionsContainer.innerHTML = '';
@@ -322,10 +396,12 @@ function loadSavedSections() {
     // Check if any sections have updates
     const sectionsWithUpdates = savedSections.filter(s => s.hasNew);
     
-    // Show notification card if there are updates
-    if (sectionsWithUpdates.length > 0) {
+    // Show the notification card on open and when more sections get updates,
+    // not on every re-render while a check stores its results
+    if (sectionsWithUpdates.length > announcedUpdateCount) {
       showNotificationCard(sectionsWithUpdates);
     }
+    announcedUpdateCount = sectionsWithUpdates.length;
     
     savedSections.forEach((section, index) => {
       const sectionDiv = document.createElement('div');
@@ -336,16 +412,69 @@ function loadSavedSections() {
         sectionDiv.classList.add('has-updates');
       }
       
+      // Add class if the last background check for this section failed
+      if (section.lastError) {
+        sectionDiv.classList.add('has-error');
+      }
+      
+      const isSnoozed = !!section.snoozedUntil && new Date(section.snoozedUntil).getTime() > Date.now();
+      const changeSummary = formatChangeSummary(section.lastChanges);
+      const changeDetails = formatChangeDetails(section.lastChanges);
+      const detectedExtractor = section.detectedExtractorId ? getExtractor(section.detectedExtractorId) : null;
+      const unreadItems = (section.unreadItems || [])
+        .slice()
+        .sort((a, b) => new Date(b.detectedAt || 0) - new Date(a.detectedAt || 0));
+      
       sectionDiv.innerHTML = `
         <div class="saved-section-content">
           <div class="saved-section-name-wrapper">
             <div class="saved-section-name" data-url="${section.url}" data-id="${section.id || ''}">${section.name}</div>
-            ${section.hasNew ? '<span class="notification-dot" title="New updates available"></span>' : ''}
+            ${unreadItems.length > 0
+              ? `<span class="unread-count" title="Show unread items">${unreadItems.length}</span>`
+              : (section.hasNew ? '<span class="notification-dot" title="New updates available"></span>' : '')}
+            ${isSnoozed ? `<span class="snooze-indicator" title="Alerts snoozed until ${new Date(section.snoozedUntil).toLocaleString()}">🔕</span>` : ''}
           </div>
           <div class="saved-section-actions">
+            <button class="section-settings-btn" title="Section settings">⚙</button>
             <button class="remove-section-btn" data-url="${section.url}" title="Remove section">×</button>
           </div>
         </div>
+        ${changeSummary ? `<div class="saved-section-changes" title="${changeDetails}">${changeSummary}</div>` : ''}
+        ${unreadItems.length > 0 ? `
+          <div class="saved-section-unread" style="display: ${expandedUnreadIds.has(section.id) ? 'block' : 'none'};">
+            ${renderUnreadItems(unreadItems)}
+            <button class="mark-all-read-btn">Mark all as read</button>
+          </div>
+        ` : ''}
+        ${section.lastError ? `<div class="saved-section-error" title="${escapeHtml(formatErrorDetails(section))}">⚠ ${escapeHtml(section.lastError.message)}</div>` : ''}
+        <div class="saved-section-settings" style="display: ${expandedSectionIds.has(section.id) ? 'block' : 'none'};">
+          <label class="section-setting">
+            <span>Check every</span>
+            <select class="section-interval-select">
+              <option value="">Default (${formatDuration(defaultInterval)})</option>
+              ${SECTION_INTERVAL_OPTIONS.map(minutes => `<option value="${minutes}" ${section.checkInterval === minutes ? 'selected' : ''}>${formatDuration(minutes)}</option>`).join('')}
+            </select>
+          </label>
+          <label class="section-setting">
+            <span>Page type</span>
+            <select class="section-extractor-select">
+              <option value="">Auto${detectedExtractor ? ` (${detectedExtractor.label})` : ''}</option>
+              ${listExtractors().map(extractor => `<option value="${extractor.id}" ${section.extractorId === extractor.id ? 'selected' : ''}>${extractor.label}</option>`).join('')}
+            </select>
+          </label>
+          <label class="section-setting">
+            <span>Include side blocks</span>
+            <input type="checkbox" class="section-side-blocks-toggle" ${section.includeSideBlocks ? 'checked' : ''}>
+          </label>
+          <label class="section-setting">
+            <span>Snooze alerts</span>
+            <select class="section-snooze-select">
+              <option value="0">${isSnoozed ? 'Resume alerts' : 'Not snoozed'}</option>
+              ${SNOOZE_OPTIONS.map(minutes => `<option value="${minutes}">For ${formatDuration(minutes)}</option>`).join('')}
+            </select>
+          </label>
+          <button class="section-history-btn">View snapshot history</button>
+        </div>
       `;
       
       // Add click to navigate
@@ -364,11 +493,99 @@ function loadSavedSections() {
         });
       }
       
+      // Toggle the list of unread items
+      const unreadCount = sectionDiv.querySelector('.unread-count');
+      const unreadPanel = sectionDiv.querySelector('.saved-section-unread');
+      if (unreadCount && unreadPanel) {
+        unreadCount.addEventListener('click', (e) => {
+          e.stopPropagation();
+          const isOpen = unreadPanel.style.display !== 'none';
+          unreadPanel.style.display = isOpen ? 'none' : 'block';
+          if (isOpen) {
+            expandedUnreadIds.delete(section.id);
+          } else {
+            expandedUnreadIds.add(section.id);
+          }
+        });
+        
+        unreadPanel.querySelectorAll('.unread-item').forEach(itemDiv => {
+          const itemId = itemDiv.dataset.itemId;
+          
+          // Opening an item marks it as read
+          const itemName = itemDiv.querySelector('.unread-item-name');
+          if (itemName.dataset.url) {
+            itemName.addEventListener('click', () => {
+              chrome.tabs.create({ url: itemName.dataset.url });
+              markItemsRead(section.id, [itemId]);
+            });
+          }
+          
+          itemDiv.querySelector('.mark-read-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            markItemsRead(section.id, [itemId]);
+          });
+        });
+        
+        unreadPanel.querySelector('.mark-all-read-btn').addEventListener('click', (e) => {
+          e.stopPropagation();
+          expandedUnreadIds.delete(section.id);
+          clearSectionNotification(section.id);
+        });
+      }
+      
+      // Toggle the per-section settings panel
+      const settingsBtn = sectionDiv.querySelector('.section-settings-btn');
+      const settingsPanel = sectionDiv.querySelector('.saved-section-settings');
+      settingsBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const isOpen = settingsPanel.style.display !== 'none';
+        settingsPanel.style.display = isOpen ? 'none' : 'block';
+        if (isOpen) {
+          expandedSectionIds.delete(section.id);
+        } else {
+          expandedSectionIds.add(section.id);
+        }
+      });
+      
+      // Change how often this section is checked
+      const intervalSelect = sectionDiv.querySelector('.section-interval-select');
+      intervalSelect.addEventListener('change', () => {
+        updateSectionInterval(section.id, intervalSelect.value ? parseInt(intervalSelect.value, 10) : null);
+      });
+      
+      // Override the detected page type for this section
+      const extractorSelect = sectionDiv.querySelector('.section-extractor-select');
+      extractorSelect.addEventListener('change', () => {
+        const extractorId = extractorSelect.value || null;
+        updateSectionExtraction(section.id, { extractorId: extractorId },
+          extractorId ? `Reading as ${getExtractor(extractorId).label}` : 'Detecting the page type automatically');
+      });
+      
+      // Also watch the sidebar blocks (calendar, recent activity) of this section
+      const sideBlocksToggle = sectionDiv.querySelector('.section-side-blocks-toggle');
+      sideBlocksToggle.addEventListener('change', () => {
+        updateSectionExtraction(section.id, { includeSideBlocks: sideBlocksToggle.checked },
+          sideBlocksToggle.checked ? 'Side blocks are now checked too' : 'Only the main content is checked');
+      });
+      
+      // Snooze or resume alerts for this section
+      const snoozeSelect = sectionDiv.querySelector('.section-snooze-select');
+      snoozeSelect.addEventListener('change', () => {
+        snoozeSavedSection(section.id, parseInt(snoozeSelect.value, 10));
+      });
+      
+      // Open the snapshot history page for this section
+      const historyBtn = sectionDiv.querySelector('.section-history-btn');
+      historyBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        chrome.tabs.create({ url: chrome.runtime.getURL(`history/history.html?section=${encodeURIComponent(section.id)}`) });
+      });
+      
       // Add remove button click
       const removeBtn = sectionDiv.querySelector('.remove-section-btn');
       removeBtn.addEventListener('click', (e) => {
         e.stopPropagation();
-        removeSavedSection(section.url);
+        removeSavedSection(section.id);
       });
       
       savedSectionsContainer.appendChild(sectionDiv);
@@ -376,6 +593,120 @@ function loadSavedSections() {
   });
 }
 
+/**
+ * Groups unread items by the course section (week) they appeared in
+ * @param {Array} unreadItems - Unread items, newest first
+ * @returns {Array} [{ title, items }] in course order; items outside a course section come last
+ */
+function groupUnreadItems(unreadItems) {
+  const groups = new Map();
+  unreadItems.forEach(item => {
+    const title = item.sectionTitle || null;
+    if (!groups.has(title)) {
+      groups.set(title, { title: title, order: item.sectionOrder, items: [] });
+    }
+    groups.get(title).items.push(item);
+  });
+  
+  // Untitled items go last, sections without a known position just before them
+  const rank = group => {
+    if (group.title === null) {
+      return Number.MAX_SAFE_INTEGER;
+    }
+    return typeof group.order === 'number' ? group.order : Number.MAX_SAFE_INTEGER - 1;
+  };
+  return Array.from(groups.values()).sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Renders one unread item row
+ * @param {Object} item - Unread item
+ * @returns {string} Row HTML
+ */
+function renderUnreadItem(item) {
+  return `
+    <div class="unread-item" data-item-id="${escapeHtml(item.id)}">
+      <span class="unread-item-name" data-url="${escapeHtml(item.url || '')}" title="${escapeHtml(item.name)}${item.detectedAt ? ` (found ${new Date(item.detectedAt).toLocaleString()})` : ''}">${escapeHtml(item.name)}</span>
+      <button class="mark-read-btn" title="Mark as read">✓</button>
+    </div>
+  `;
+}
+
+/**
+ * Renders unread items, under a heading per week when the page has course sections
+ * @param {Array} unreadItems - Unread items, newest first
+ * @returns {string} List HTML
+ */
+function renderUnreadItems(unreadItems) {
+  const groups = groupUnreadItems(unreadItems);
+  if (groups.length === 1 && groups[0].title === null) {
+    return unreadItems.map(renderUnreadItem).join('');
+  }
+  
+  return groups.map(group => `
+    <div class="unread-group-title">${escapeHtml(group.title || 'Elsewhere on the page')}</div>
+    ${group.items.map(renderUnreadItem).join('')}
+  `).join('');
+}
+
+/**
+ * Builds a short summary of a section's pending changeset
+ * @param {Object|null} changes - Changeset stored by the background check
+ * @returns {string} Summary such as "2 new · 1 renamed", or '' if nothing changed
+ */
+function formatChangeSummary(changes) {
+  if (!changes) {
+    return '';
+  }
+  
+  const parts = [];
+  if (changes.added && changes.added.length > 0) {
+    parts.push(`${changes.added.length} new`);
+  }
+  if (changes.modified && changes.modified.length > 0) {
+    parts.push(`${changes.modified.length} renamed`);
+  }
+  if (changes.removed && changes.removed.length > 0) {
+    parts.push(`${changes.removed.length} removed`);
+  }
+  return parts.join(' · ');
+}
+
+/**
+ * Lists the item names of a changeset for the summary tooltip
+ * @param {Object|null} changes - Changeset stored by the background check
+ * @returns {string} One line per changed item
+ */
+function formatChangeDetails(changes) {
+  if (!changes) {
+    return '';
+  }
+  
+  const lines = [
+    ...(changes.added || []).map(item => `+ ${item.name || item.url}`),
+    ...(changes.modified || []).map(item => `~ ${item.oldName} → ${item.name}`),
+    ...(changes.removed || []).map(item => `- ${item.name || item.url}`)
+  ];
+  return lines.join('\n').replace(/"/g, '&quot;');
+}
+
+/**
+ * Describes a section's failing checks for the error tooltip
+ * @param {Object} section - Saved section with lastError set
+ * @returns {string} Failure count, last success and next retry
+ */
+function formatErrorDetails(section) {
+  const failures = section.consecutiveFailures || 1;
+  const lines = [
+    `${failures} failed check${failures !== 1 ? 's' : ''} in a row`,
+    `Last success: ${section.lastSuccess ? new Date(section.lastSuccess).toLocaleString() : 'never'}`
+  ];
+  if (section.nextCheckAt) {
+    lines.push(`Next retry: ${new Date(section.nextCheckAt).toLocaleString()}`);
+  }
+  return lines.join('\n');
+}
+
 /**
  * Shows a notification card when there are updates
  * @param {Array} sectionsWithUpdates - Array of sections with updates
@@ -424,18 +755,7 @@ function loadSavedSectionIntoSelect() {
 }
 
 /**
- * Generate UUID for section IDs
- */
-function generateUUID() {
-  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-    const r = Math.random() * 16 | 0;
-    const v = c === 'x' ? r : (r & 0x3 | 0x8);
-    return v.toString(16);
-  });
-}
-
-/**
- * Saves selected section to storage
+ * Saves selected section through the background, which owns all writes
  */
 function saveSection() {
   if (!selectedSection || !selectedSection.url) {
@@ -443,54 +763,29 @@ function saveSection() {
     return;
   }
   
-  const sectionData = {
-    id: generateUUID(),
-    url: selectedSection.url,
-    name: selectedSection.name,
-    hasNew: false,
-    lastSnapshot: [],
-    lastChecked: null
-  };
-  
-  chrome.storage.local.get(['savedSections'], (result) => {
-    const savedSections = result.savedSections || [];
-    
-    // Check if section already exists
-    const exists = savedSections.some(section => section.url === selectedSection.url);
-    if (exists) {
-      showStatus('This section is already saved!', 'error');
+  // The background rejects duplicates and takes the baseline right away
+  chrome.runtime.sendMessage({
+    action: 'ADD_SECTION',
+    section: {
+      name: selectedSection.name,
+      url: selectedSection.url
+    }
+  }, (response) => {
+    if (!response || !response.success) {
+      showStatus((response && response.error) || 'Could not save section. Please try again.', 'error');
       return;
     }
     
-    // Add new section to array
-    savedSections.push(sectionData);
+    showStatus('Section saved successfully!', 'success');
     
-    chrome.storage.local.set({ savedSections: savedSections }, () => {
-      showStatus('Section saved successfully!', 'success');
-      loadSavedSections();
-      
-      // Trigger immediate check for this new section to establish baseline
-      chrome.runtime.sendMessage({
-        action: 'CHECK_UPDATES_NOW'
-      }, (response) => {
-        if (response && response.success) {
-          // Reload to show any initial state
-          setTimeout(() => {
-            loadSavedSections();
-            updateBadgeState();
-          }, 1000);
-        }
-      });
-      
-      // Notify content script about saved sections
-      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-        if (tabs.length > 0 && tabs[0].url && tabs[0].url.includes('courseweb.sliit.lk')) {
-          chrome.tabs.sendMessage(tabs[0].id, {
-            action: 'UPDATE_SAVED_SECTIONS',
-            sections: savedSections
-          });
-        }
-      });
+    // Notify content script about saved sections
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      if (tabs.length > 0 && tabs[0].url && tabs[0].url.includes('courseweb.sliit.lk')) {
+        chrome.tabs.sendMessage(tabs[0].id, {
+          action: 'UPDATE_SAVED_SECTIONS',
+          sections: response.savedSections
+        });
+      }
     });
   });
 }
@@ -550,12 +845,8 @@ function checkForUpdates() {
     }
     
     if (response && response.success) {
+      // Results already appeared section by section through storage changes
       showStatus('Update check complete!', 'success');
-      // Reload saved sections to show any new updates
-      setTimeout(() => {
-        loadSavedSections();
-        updateBadgeState();
-      }, 500);
     } else {
       showStatus('Update check failed. Please try again.', 'error');
     }
@@ -563,19 +854,10 @@ function checkForUpdates() {
 }
 
 /**
- * Update badge state based on saved sections
+ * Ask the background script to recompute the badge from saved sections
  */
 function updateBadgeState() {
-  chrome.storage.local.get(['savedSections'], (result) => {
-    const savedSections = result.savedSections || [];
-    const hasAnyUpdates = savedSections.some(s => s.hasNew);
-    
-    // Update badge via background script
-    chrome.runtime.sendMessage({
-      action: 'UPDATE_BADGE_STATE',
-      hasUpdates: hasAnyUpdates
-    });
-  });
+  chrome.runtime.sendMessage({ action: 'UPDATE_BADGE_STATE' });
 }
 
 // Event listeners
@@ -583,6 +865,9 @@ saveSectionBtn.addEventListener('click', saveSection);
 if (checkUpdatesBtn) {
   checkUpdatesBtn.addEventListener('click', checkForUpdates);
 }
+if (openOptionsBtn) {
+  openOptionsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+}
 
 // Searchable select event listeners
 if (sectionSearchSelect) {
@@ -626,71 +911,23 @@ if (sectionSearchSelect) {
   });
 }
 
-/**
- * Migrates old savedSection to new savedSections array format
- */
-function migrateOldSavedSection() {
-  chrome.storage.local.get(['savedSection', 'savedSections'], (result) => {
-    // If we have old format but no new format, migrate it
-    if (result.savedSection && (!result.savedSections || result.savedSections.length === 0)) {
-      const migratedSection = {
-        id: generateUUID(),
-        name: result.savedSection.name || 'Saved Section',
-        url: result.savedSection.url,
-        hasNew: false,
-        lastSnapshot: [],
-        lastChecked: null
-      };
-      
-      chrome.storage.local.set({
-        savedSections: [migratedSection],
-        savedSection: null // Clear old format
-      }, () => {
-        console.log('Migrated old savedSection to savedSections array');
-        loadSavedSections();
-      });
-    } else {
-      // Migrate existing savedSections to new format if needed
-      if (result.savedSections && result.savedSections.length > 0) {
-        const needsMigration = result.savedSections.some(s => !s.id || s.hasNew === undefined);
-        if (needsMigration) {
-          const migratedSections = result.savedSections.map(section => {
-            if (!section.id) {
-              return {
-                id: generateUUID(),
-                name: section.name || 'Saved Section',
-                url: section.url,
-                hasNew: section.hasNew || false,
-                lastSnapshot: section.lastSnapshot || [],
-                lastChecked: section.lastChecked || null
-              };
-            }
-            return section;
-          });
-          
-          chrome.storage.local.set({ savedSections: migratedSections }, () => {
-            console.log('Migrated savedSections to new format');
-            loadSavedSections();
-          });
-        } else {
-          loadSavedSections();
-        }
-      } else {
-        loadSavedSections();
-      }
-    }
-  });
-}
-
 // Load state when popup opens
 document.addEventListener('DOMContentLoaded', () => {
-  // Migrate old format if needed, then load saved sections
-  migrateOldSavedSection();
+  // Stored data is migrated by the background, so it can be shown as-is
+  loadSavedSections();
   
   // Then update UI
   updateUI();
 });
 
+// Re-render saved sections as soon as the background stores a change,
+// e.g. after each section of a running check
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && (changes.savedSections || changes.checkInterval)) {
+    loadSavedSections();
+  }
+});
+
 // Update UI when tab changes
 chrome.tabs.onUpdated.addListener(() => {
   if (document.readyState === 'complete') {
@@ -3,6 +3,10 @@
  * 
  * This utility provides functions to compare snapshots of CourseWeb pages
  * to detect new content updates.
+ * 
+ * Item URLs are expected in canonical form already (see utils/url.js):
+ * extraction canonicalizes them with the configured ignore list, and stored
+ * URLs are rewritten whenever that list changes.
  */
 
 /**
@@ -54,6 +58,254 @@ function compareSnapshots(oldSnapshot, newSnapshot) {
   return false; // No differences found
 }
 
+/**
+ * Computes a structured diff between two snapshot arrays
+ * Items are matched by getItemId(); an item whose URL is unchanged but whose
+ * name differs is reported as modified (renamed) rather than removed + added.
+ * @param {Array} oldSnapshot - Previous snapshot array
+ * @param {Array} newSnapshot - Current snapshot array
+ * @returns {Object} { added, removed, modified, hasChanges }
+ */
+function diffSnapshots(oldSnapshot, newSnapshot) {
+  const oldItems = Array.isArray(oldSnapshot) ? oldSnapshot : [];
+  const newItems = Array.isArray(newSnapshot) ? newSnapshot : [];
+  
+  const oldById = new Map();
+  oldItems.forEach(item => {
+    const id = getItemId(item);
+    if (id) {
+      oldById.set(id.toLowerCase().trim(), item);
+    }
+  });
+  
+  const newById = new Map();
+  newItems.forEach(item => {
+    const id = getItemId(item);
+    if (id) {
+      newById.set(id.toLowerCase().trim(), item);
+    }
+  });
+  
+  const added = [];
+  const modified = [];
+  newById.forEach((item, id) => {
+    const oldItem = oldById.get(id);
+    if (!oldItem) {
+      added.push(item);
+      return;
+    }
+    
+    // Same URL, different display name
+    const oldName = typeof oldItem === 'object' && oldItem !== null ? (oldItem.name || '') : '';
+    const newName = typeof item === 'object' && item !== null ? (item.name || '') : '';
+    if (item.url && oldName.trim() !== newName.trim()) {
+      modified.push({
+        url: item.url,
+        type: item.type,
+        oldName: oldName,
+        name: newName,
+        sectionTitle: item.sectionTitle,
+        sectionOrder: item.sectionOrder
+      });
+    }
+  });
+  
+  const removed = [];
+  oldById.forEach((item, id) => {
+    if (!newById.has(id)) {
+      removed.push(item);
+    }
+  });
+  
+  return {
+    added: added,
+    removed: removed,
+    modified: modified,
+    hasChanges: added.length > 0 || removed.length > 0 || modified.length > 0
+  };
+}
+
+/**
+ * Merges a newer changeset into one that has not been read yet. Entries are
+ * matched by getItemId(), so each item appears once: an item added and then
+ * removed before it was read drops out, a removed item that came back is only
+ * reported if it was renamed, and successive renames collapse into one
+ * (first old name, latest name).
+ * @param {Object|null} previous - Changeset already stored on the section
+ * @param {Object} next - Changeset from the latest check
+ * @returns {Object} Combined changeset
+ */
+function mergeChangesets(previous, next) {
+  if (!previous) {
+    return next;
+  }
+  
+  const keyOf = item => getItemId(item).toLowerCase().trim();
+  const toMap = items => new Map((items || []).map(item => [keyOf(item), item]));
+  const added = toMap(previous.added);
+  const removed = toMap(previous.removed);
+  const modified = toMap(previous.modified);
+  
+  (next.removed || []).forEach(item => {
+    const id = keyOf(item);
+    modified.delete(id);
+    if (added.has(id)) {
+      added.delete(id);
+    } else {
+      removed.set(id, item);
+    }
+  });
+  
+  (next.added || []).forEach(item => {
+    const id = keyOf(item);
+    const removedItem = removed.get(id);
+    if (!removedItem) {
+      added.set(id, item);
+      return;
+    }
+    
+    // Back on the page: only a changed name is news
+    removed.delete(id);
+    const oldName = (removedItem.name || '').trim();
+    const name = (item.name || '').trim();
+    if (item.url && oldName !== name) {
+      modified.set(id, {
+        url: item.url,
+        type: item.type,
+        oldName: removedItem.name || '',
+        name: item.name || '',
+        sectionTitle: item.sectionTitle,
+        sectionOrder: item.sectionOrder
+      });
+    }
+  });
+  
+  (next.modified || []).forEach(change => {
+    const id = keyOf(change);
+    const addedItem = added.get(id);
+    if (addedItem) {
+      // Still new, just under its latest name
+      added.set(id, {
+        ...addedItem,
+        name: change.name,
+        sectionTitle: change.sectionTitle,
+        sectionOrder: change.sectionOrder
+      });
+      return;
+    }
+    
+    const earlier = modified.get(id);
+    const oldName = earlier ? earlier.oldName : change.oldName;
+    if ((oldName || '').trim() === (change.name || '').trim()) {
+      // Renamed back to what it was
+      modified.delete(id);
+    } else {
+      modified.set(id, { ...change, oldName: oldName });
+    }
+  });
+  
+  return {
+    detectedAt: next.detectedAt,
+    added: Array.from(added.values()),
+    removed: Array.from(removed.values()),
+    modified: Array.from(modified.values())
+  };
+}
+
+/**
+ * Records when each item was first and last seen, and when it was last
+ * added or renamed. Times are carried over from the previous snapshot.
+ * Items without a known first appearance (the baseline, or snapshots saved
+ * before this was tracked) are flagged with `baseline: true`, since they were
+ * already on the page when tracking began.
+ * @param {Array} oldSnapshot - Previous snapshot array (empty for a baseline)
+ * @param {Array} newSnapshot - Current snapshot array (mutated)
+ * @param {Object|null} diff - Result of diffSnapshots(oldSnapshot, newSnapshot), or null for a baseline
+ * @param {string} seenAt - ISO timestamp of the current check
+ * @returns {Array} The new snapshot
+ */
+function stampItemTimes(oldSnapshot, newSnapshot, diff, seenAt) {
+  const oldById = new Map();
+  (oldSnapshot || []).forEach(item => {
+    oldById.set(getItemId(item).toLowerCase().trim(), item);
+  });
+  
+  const addedIds = new Set((diff ? diff.added : []).map(item => getItemId(item).toLowerCase().trim()));
+  const renamedIds = new Set((diff ? diff.modified : []).map(item => getItemId(item).toLowerCase().trim()));
+  
+  newSnapshot.forEach(item => {
+    const id = getItemId(item).toLowerCase().trim();
+    const oldItem = oldById.get(id);
+    
+    if (addedIds.has(id)) {
+      item.firstSeen = seenAt;
+      item.detectedAt = seenAt;
+    } else if (oldItem && (oldItem.firstSeen || oldItem.detectedAt)) {
+      item.firstSeen = oldItem.firstSeen || oldItem.detectedAt;
+      if (oldItem.baseline) {
+        item.baseline = true;
+      }
+      if (oldItem.detectedAt) {
+        item.detectedAt = oldItem.detectedAt;
+      }
+    } else {
+      item.firstSeen = seenAt;
+      item.baseline = true;
+    }
+    
+    if (renamedIds.has(id)) {
+      item.detectedAt = seenAt;
+    }
+    item.lastSeen = seenAt;
+  });
+  
+  return newSnapshot;
+}
+
+/**
+ * Carries file details resolved for a resource link (see resolveSectionResources()
+ * in background.js) over to the same item in a new snapshot, since
+ * extraction only sees the link itself
+ * @param {Array} oldSnapshot - Previous snapshot array
+ * @param {Array} newSnapshot - Current snapshot array (mutated)
+ * @returns {Array} The new snapshot
+ */
+function carryOverFileDetails(oldSnapshot, newSnapshot) {
+  const oldById = new Map();
+  (oldSnapshot || []).forEach(item => {
+    if (item && item.fileName) {
+      oldById.set(getItemId(item).toLowerCase().trim(), item);
+    }
+  });
+  
+  newSnapshot.forEach(item => {
+    const oldItem = oldById.get(getItemId(item).toLowerCase().trim());
+    if (oldItem && !item.fileName) {
+      item.fileName = oldItem.fileName;
+      item.mimeType = oldItem.mimeType;
+      item.size = oldItem.size;
+      item.type = oldItem.type;
+    }
+  });
+  
+  return newSnapshot;
+}
+
+/**
+ * Marks every item of an unchanged snapshot as seen again
+ * @param {Array} snapshot - Stored snapshot array (mutated)
+ * @param {string} seenAt - ISO timestamp of the current check
+ * @returns {Array} The snapshot
+ */
+function touchSnapshotItems(snapshot, seenAt) {
+  (snapshot || []).forEach(item => {
+    if (typeof item === 'object' && item !== null) {
+      item.lastSeen = seenAt;
+    }
+  });
+  return snapshot;
+}
+
 /**
  * Normalizes an item for comparison (handles strings and objects)
  * @param {string|Object} item - Item to normalize
@@ -80,7 +332,8 @@ function normalizeItem(item) {
 
 /**
  * Extracts a unique identifier from a snapshot item
- * Used for creating stable snapshots
+ * Used for creating stable snapshots. URLs are used as they are, since
+ * snapshot URLs are stored in canonical form.
  * @param {string|Object} item - Snapshot item
  * @returns {string} Unique identifier
  */
@@ -164,6 +417,11 @@ function createStableSnapshot(snapshot) {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     compareSnapshots,
+    diffSnapshots,
+    mergeChangesets,
+    stampItemTimes,
+    touchSnapshotItems,
+    carryOverFileDetails,
     normalizeItem,
     getItemId,
     createStableSnapshot
@@ -0,0 +1,580 @@
+/**
+ * extractors.js - Snapshot Extraction Utility
+ * 
+ * This utility turns a parsed CourseWeb page into a snapshot array
+ * (PDFs, activities, files, notices, ...). It needs a real DOM, so it is
+ * loaded by the offscreen document rather than the service worker.
+ * 
+ * Page types are handled by extractors in a registry. Each extractor
+ * declares URL patterns and/or DOM selectors it matches and a priority;
+ * the highest-priority match wins unless a saved section names an
+ * extractor explicitly. New Moodle page types only need a
+ * registerExtractor() call.
+ * 
+ * Extractors only see Moodle's main content region, so the nav drawer,
+ * breadcrumbs, footer and side blocks (calendar, recent activity) cannot
+ * cause false alerts. Side blocks can be included per section.
+ * 
+ * Item URLs are canonicalized with canonicalizeUrl() from utils/url.js.
+ */
+
+// Registered extractors, highest priority first
+const EXTRACTORS = [];
+
+// Base URL for links when the document has none
+const DEFAULT_BASE_URL = 'https://www.courseweb.sliit.lk';
+
+// Main content containers, most specific page layout first
+const CONTENT_REGION_SELECTORS = ['#region-main', '.course-content', '[role="main"]', '#page-content'];
+
+// Side block columns of the Classic and Boost themes
+const SIDE_BLOCK_SELECTORS = ['#block-region-side-pre', '#block-region-side-post', '[data-region="blocks-column"]'];
+
+// Elements of a resource view page that embed or link the actual file
+const RESOURCE_FILE_SELECTORS = [
+  'a[href*="/pluginfile.php/"]',
+  'object[data*="/pluginfile.php/"]',
+  'iframe[src*="/pluginfile.php/"]',
+  'embed[src*="/pluginfile.php/"]'
+];
+
+// File type icon of a resource activity, e.g. ".../core/1/f/pdf-24" or ".../f/powerpoint"
+const FILE_ICON_PATTERN = /\/f\/([a-z]+)(?:-\d+)?(?:\.[a-z]+)?$/i;
+
+// Course sections ("Week 5", "Lab Sheets") and their titles on course pages
+const COURSE_SECTION_SELECTOR = 'li.section, [data-for="section"]';
+const COURSE_SECTION_TITLE_SELECTORS = ['.sectionname', '[data-for="section_title"]', 'h3'];
+
+/**
+ * Register (or replace) a page-type extractor
+ * @param {Object} extractor - Extractor definition
+ * @param {string} extractor.id - Stable ID, stored on sections that override detection
+ * @param {string} extractor.label - Name shown in the popup
+ * @param {number} extractor.priority - Higher priorities are tried first
+ * @param {Array<RegExp>} [extractor.urlPatterns] - Matches if any pattern matches the page URL
+ * @param {Array<string>} [extractor.selectors] - Matches if any selector finds an element
+ * @param {Function} [extractor.matches] - Extra (url, doc) => boolean test
+ * @param {Function} extractor.extract - (doc, url, region) => snapshot array, where region
+ *   is the content region element (see getContentRegion()) to take items from
+ */
+function registerExtractor(extractor) {
+  if (!extractor || !extractor.id || typeof extractor.extract !== 'function') {
+    throw new Error('An extractor needs an id and an extract function');
+  }
+  
+  const index = EXTRACTORS.findIndex(existing => existing.id === extractor.id);
+  if (index !== -1) {
+    EXTRACTORS.splice(index, 1);
+  }
+  EXTRACTORS.push({
+    label: extractor.id,
+    priority: 0,
+    urlPatterns: [],
+    selectors: [],
+    ...extractor
+  });
+  EXTRACTORS.sort((a, b) => b.priority - a.priority);
+}
+
+/**
+ * Look up a registered extractor
+ * @param {string} id - Extractor ID
+ * @returns {Object|null} Extractor, or null if none is registered with that ID
+ */
+function getExtractor(id) {
+  return EXTRACTORS.find(extractor => extractor.id === id) || null;
+}
+
+/**
+ * List registered extractors for selection in the UI
+ * @returns {Array} [{ id, label }], highest priority first
+ */
+function listExtractors() {
+  return EXTRACTORS.map(extractor => ({ id: extractor.id, label: extractor.label }));
+}
+
+/**
+ * Check whether an extractor's matchers accept a page
+ * @param {Object} extractor - Registered extractor
+ * @param {string} url - URL of the page
+ * @param {Document} doc - Parsed HTML document
+ * @returns {boolean} True if any matcher accepts the page
+ */
+function extractorMatches(extractor, url, doc) {
+  return extractor.urlPatterns.some(pattern => pattern.test(url)) ||
+         extractor.selectors.some(selector => doc.querySelector(selector) !== null) ||
+         (typeof extractor.matches === 'function' && extractor.matches(url, doc));
+}
+
+/**
+ * Pick the extractor for a page
+ * @param {Document} doc - Parsed HTML document
+ * @param {string} url - URL of the page
+ * @param {string|null} extractorId - Extractor chosen for the section, or null to detect
+ * @returns {Object} Extractor
+ */
+function selectExtractor(doc, url, extractorId = null) {
+  if (extractorId) {
+    const chosen = getExtractor(extractorId);
+    if (chosen) {
+      return chosen;
+    }
+    console.warn(`Unknown extractor "${extractorId}" - detecting page type instead`);
+  }
+  
+  return EXTRACTORS.find(extractor => extractorMatches(extractor, url, doc)) || getExtractor('generic');
+}
+
+/**
+ * Extract snapshot from a parsed document
+ * @param {Document} doc - Parsed HTML document
+ * @param {string} url - URL of the page
+ * @param {Object} options - { extractorId, includeSideBlocks } saved on the section and
+ *   ignoredUrlParams from the settings
+ * @returns {Object} { snapshot, extractorId } with the ID of the extractor used
+ */
+function extractSnapshotFromDocument(doc, url, options = {}) {
+  const extractor = selectExtractor(doc, url, options.extractorId || null);
+  const region = getContentRegion(doc, options.includeSideBlocks);
+  
+  // Links that only differ in volatile parameters collapse into one item
+  const builder = createSnapshotBuilder();
+  extractor.extract(doc, url, region).forEach(item => {
+    if (!item.url) {
+      builder.add(item, `${item.type}|${item.name}`);
+      return;
+    }
+    const canonicalUrl = canonicalizeUrl(item.url, options.ignoredUrlParams);
+    builder.add({ ...item, url: canonicalUrl }, canonicalUrl);
+  });
+  
+  return {
+    snapshot: builder.items,
+    extractorId: extractor.id
+  };
+}
+
+/**
+ * Resolve a link to an absolute URL
+ * @param {Element} link - Anchor element
+ * @param {Document} doc - Document the link belongs to
+ * @returns {string|null} Absolute URL, or null for empty and javascript: links
+ */
+function resolveLinkUrl(link, doc) {
+  const href = (link.getAttribute('href') || '').trim();
+  if (!href || /^javascript:/i.test(href)) {
+    return null;
+  }
+  
+  try {
+    return new URL(href, doc.baseURI || DEFAULT_BASE_URL).href;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Find the display name of a link
+ * @param {Element} link - Anchor element
+ * @param {string} fallback - Name used when the link has no text or title
+ * @returns {string} Link name
+ */
+function getLinkName(link, fallback = '') {
+  return link.textContent.trim() ||
+         (link.getAttribute('title') || '').trim() ||
+         (link.getAttribute('aria-label') || '').trim() ||
+         fallback;
+}
+
+/**
+ * Collect the links of a document (or element) with their resolved URLs
+ * @param {Document} doc - Parsed HTML document
+ * @param {string} selector - Anchor selector
+ * @param {Element|Document} root - Element to search in
+ * @returns {Array} [{ link, url }] for links that resolve to a URL
+ */
+function getLinks(doc, selector = 'a[href]', root = doc) {
+  return Array.from(root.querySelectorAll(selector))
+    .map(link => ({ link: link, url: resolveLinkUrl(link, doc) }))
+    .filter(entry => entry.url);
+}
+
+/**
+ * Check if a URL points at a PDF
+ * @param {string} url - Absolute URL
+ * @returns {boolean} True for .pdf links
+ */
+function isPdfUrl(url) {
+  return url.toLowerCase().includes('.pdf');
+}
+
+/**
+ * Create a snapshot array that skips duplicate keys
+ * @returns {Object} { items, add(item, key) } - add() returns false for duplicates
+ */
+function createSnapshotBuilder() {
+  const items = [];
+  const seen = new Set();
+  
+  return {
+    items: items,
+    add(item, key = item.url) {
+      const normalizedKey = String(key || '').toLowerCase();
+      if (!normalizedKey || seen.has(normalizedKey)) {
+        return false;
+      }
+      seen.add(normalizedKey);
+      items.push(item);
+      return true;
+    }
+  };
+}
+
+/**
+ * Find the course section (week or topic) an element belongs to
+ * @param {Element} element - Element inside the content region
+ * @returns {Object} { sectionTitle, sectionOrder }, or an empty object outside course sections
+ */
+function getCourseSection(element) {
+  const sectionElement = element.closest(COURSE_SECTION_SELECTOR);
+  if (!sectionElement) {
+    return {};
+  }
+  
+  const titleElement = COURSE_SECTION_TITLE_SELECTORS
+    .map(selector => sectionElement.querySelector(selector))
+    .find(found => found !== null);
+  const title = ((titleElement && titleElement.textContent) || sectionElement.getAttribute('aria-label') || '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (!title) {
+    return {};
+  }
+  
+  // Moodle numbers sections in page order (0 is the general section at the top)
+  const number = [
+    sectionElement.getAttribute('data-number'),
+    sectionElement.getAttribute('data-sectionid'),
+    (sectionElement.id.match(/^section-(\d+)$/) || [])[1]
+  ].map(value => parseInt(value, 10)).find(value => !Number.isNaN(value));
+  const order = number !== undefined
+    ? number
+    : Array.from(sectionElement.parentElement.children).indexOf(sectionElement);
+  
+  return { sectionTitle: title, sectionOrder: order };
+}
+
+/**
+ * Add every PDF link of a region to a snapshot
+ * @param {Document} doc - Parsed HTML document
+ * @param {Element} region - Content region to search in
+ * @param {Object} builder - Snapshot builder
+ * @param {string} type - Item type for the PDFs
+ * @param {string} defaultName - Name used when neither link nor URL has one
+ */
+function addPdfLinks(doc, region, builder, type, defaultName) {
+  getLinks(doc, 'a[href]', region).forEach(({ link, url }) => {
+    if (isPdfUrl(url)) {
+      builder.add({
+        name: getLinkName(link, url.split('/').pop() || defaultName),
+        url: url,
+        type: type,
+        ...getCourseSection(link)
+      });
+    }
+  });
+}
+
+/**
+ * Get the part of the page that snapshots are extracted from: Moodle's
+ * main content region, or the whole body on pages without one
+ * @param {Document} doc - Parsed HTML document
+ * @param {boolean} includeSideBlocks - Also include the side block columns
+ * @returns {Element} Region element (a detached copy when side blocks are included)
+ */
+function getContentRegion(doc, includeSideBlocks = false) {
+  const main = CONTENT_REGION_SELECTORS
+    .map(selector => doc.querySelector(selector))
+    .find(element => element !== null);
+  if (!main) {
+    return doc.body || doc.documentElement;
+  }
+  
+  const blocks = includeSideBlocks
+    ? Array.from(doc.querySelectorAll(SIDE_BLOCK_SELECTORS.join(', ')))
+    : [];
+  // Nested matches (a column inside another, or blocks inside the main region) are covered by their parent
+  const candidates = Array.from(new Set([main, ...blocks]));
+  const regions = candidates.filter(element =>
+    !candidates.some(other => other !== element && other.contains(element)));
+  if (regions.length === 1) {
+    return regions[0];
+  }
+  
+  const combined = doc.createElement('div');
+  regions.forEach(element => combined.appendChild(element.cloneNode(true)));
+  return combined;
+}
+
+/**
+ * Build a stable text fingerprint of the content region, used to skip
+ * extraction when a page has not changed. Moodle's per-request noise
+ * (generated element ids, sesskey parameters, scripts) is left out.
+ * @param {Document} doc - Parsed HTML document
+ * @param {boolean} includeSideBlocks - Also include the side block columns
+ * @returns {string} Fingerprint text
+ */
+function getContentFingerprint(doc, includeSideBlocks = false) {
+  const region = getContentRegion(doc, includeSideBlocks).cloneNode(true);
+  region.querySelectorAll('script, style, noscript, input[type="hidden"]').forEach(el => el.remove());
+  
+  const links = Array.from(region.querySelectorAll('a[href]')).map(link => {
+    const href = (link.getAttribute('href') || '').replace(/([?&])sesskey=[^&#]*/gi, '$1');
+    return `${href}|${link.textContent.trim()}`;
+  });
+  const text = region.textContent.replace(/\s+/g, ' ').trim();
+  
+  return `${links.join('\n')}\n${text}`;
+}
+
+/**
+ * Find the file behind a resource view page (mod/resource/view.php) that
+ * embeds the file or links to it instead of redirecting
+ * @param {Document} doc - Parsed resource view page
+ * @returns {string|null} Absolute pluginfile.php URL, or null if the page has none
+ */
+function findResourceFileUrl(doc) {
+  const region = getContentRegion(doc);
+  for (const selector of RESOURCE_FILE_SELECTORS) {
+    const element = region.querySelector(selector);
+    if (element) {
+      const value = element.getAttribute('href') || element.getAttribute('data') || element.getAttribute('src');
+      try {
+        return new URL(value, doc.baseURI || DEFAULT_BASE_URL).href;
+      } catch (error) {
+        continue;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Check if a parsed page is the Moodle login page rather than section content
+ * (mirrors isUserLoggedIn() in content.js, without layout information)
+ */
+function isLoginPage(doc) {
+  if (doc.body && doc.body.id === 'page-login-index') {
+    return true;
+  }
+  
+  const loginForm = doc.querySelector('form[action*="login"]');
+  return !!loginForm && loginForm.querySelector('input[type="password"]') !== null;
+}
+
+/**
+ * Read the file type icon Moodle shows next to a resource activity, which
+ * tells the file type without opening the resource
+ * @param {Element} activity - Activity element
+ * @returns {Object} { fileIcon } (e.g. "pdf", "powerpoint"), or an empty object without one
+ */
+function getFileIcon(activity) {
+  for (const image of activity.querySelectorAll('img[src]')) {
+    const match = (image.getAttribute('src') || '').split('?')[0].match(FILE_ICON_PATTERN);
+    if (match) {
+      return { fileIcon: match[1].toLowerCase() };
+    }
+  }
+  return {};
+}
+
+/**
+ * Extract snapshot from module page (lecture PDFs, notices, files)
+ */
+function extractModulePageSnapshot(doc, pageUrl, region = getContentRegion(doc)) {
+  const builder = createSnapshotBuilder();
+  
+  // FIRST: Extract ALL PDF links (most important for detection)
+  // This should catch PDFs regardless of their container structure
+  addPdfLinks(doc, region, builder, 'pdf', 'PDF Document');
+  
+  // Extract activity instances (lecture notes, PDFs, folders)
+  const activities = region.querySelectorAll('.activityinstance, .modtype_resource, .modtype_folder, [class*="activity"], [class*="resource"]');
+  activities.forEach(activity => {
+    const [entry] = getLinks(doc, 'a', activity);
+    const name = entry ? getLinkName(entry.link) : '';
+    if (name) {
+      builder.add({
+        name: name,
+        url: entry.url,
+        type: 'activity',
+        ...getFileIcon(activity),
+        ...getCourseSection(activity)
+      });
+    }
+  });
+  
+  // Extract file links (non-PDF files)
+  getLinks(doc, 'a[href*="file"], a[href*="resource"], a[href*="download"]', region).forEach(({ link, url }) => {
+    // Skip if already captured as PDF
+    if (isPdfUrl(url)) {
+      return;
+    }
+    
+    const name = getLinkName(link, url.split('/').pop() || '');
+    if (name) {
+      builder.add({
+        name: name,
+        url: url,
+        type: 'file',
+        ...getCourseSection(link)
+      });
+    }
+  });
+  
+  // Extract announcements/notices
+  const notices = region.querySelectorAll('.forum-post, .notice, .announcement, [class*="notice"], [class*="forum"]');
+  notices.forEach(notice => {
+    const title = notice.querySelector('h3, h4, .subject, .title, [class*="title"]')?.textContent.trim();
+    if (title && title.length > 3) {
+      builder.add({
+        name: title,
+        type: 'notice',
+        ...getCourseSection(notice)
+      }, `notice|${title}`);
+    }
+  });
+  
+  const snapshot = builder.items;
+  console.log(`Extracted ${snapshot.length} items from module page (${snapshot.filter(s => s.type === 'pdf').length} PDFs)`);
+  return snapshot;
+}
+
+/**
+ * Extract snapshot from results page
+ */
+function extractResultsPageSnapshot(doc, pageUrl, region = getContentRegion(doc)) {
+  const builder = createSnapshotBuilder();
+  
+  // Extract ALL PDF links (results are typically PDFs)
+  addPdfLinks(doc, region, builder, 'result', 'Result PDF');
+  
+  // Extract any announcement or notice about results
+  const announcements = region.querySelectorAll('.announcement, .notice, [class*="result"], [class*="message"]');
+  announcements.forEach(announcement => {
+    const text = announcement.textContent.trim();
+    if (text && text.length > 10 && text.length < 200) {
+      builder.add({
+        name: text,
+        type: 'announcement'
+      }, `announcement|${text}`);
+    }
+  });
+  
+  const snapshot = builder.items;
+  console.log(`Extracted ${snapshot.length} items from results page (${snapshot.filter(s => s.type === 'result').length} PDFs)`);
+  return snapshot;
+}
+
+/**
+ * Extract snapshot from generic page (fallback)
+ */
+function extractGenericPageSnapshot(doc, pageUrl, region = getContentRegion(doc)) {
+  const builder = createSnapshotBuilder();
+  
+  // FIRST: Extract ALL PDF links (most important)
+  addPdfLinks(doc, region, builder, 'pdf', 'PDF Document');
+  
+  // Extract all meaningful links (non-PDF)
+  getLinks(doc, 'a[href]', region).forEach(({ link, url }) => {
+    // Skip PDFs (already captured)
+    if (isPdfUrl(url)) {
+      return;
+    }
+    
+    const name = getLinkName(link);
+    
+    // Skip if it's not meaningful
+    if (!name || name.length < 3 || name.length > 200) {
+      return;
+    }
+    
+    // Skip common navigation elements
+    if (name.match(/^(home|back|next|previous|menu|login|logout)$/i)) {
+      return;
+    }
+    
+    builder.add({
+      name: name,
+      url: url,
+      type: 'link'
+    });
+  });
+  
+  // Extract headings as content indicators
+  const headings = region.querySelectorAll('h1, h2, h3');
+  headings.forEach(heading => {
+    const text = heading.textContent.trim();
+    if (text && text.length > 3 && text.length < 200) {
+      builder.add({
+        name: text,
+        type: 'heading'
+      }, `heading|${text}`);
+    }
+  });
+  
+  const snapshot = builder.items;
+  console.log(`Extracted ${snapshot.length} items from generic page (${snapshot.filter(s => s.type === 'pdf').length} PDFs)`);
+  return snapshot;
+}
+
+// Built-in page types
+registerExtractor({
+  id: 'module',
+  label: 'Course / module page',
+  priority: 20,
+  urlPatterns: [/\/course\/view\.php/, /\/mod\//],
+  selectors: ['.activityinstance', '.modtype_resource', '.modtype_folder'],
+  extract: extractModulePageSnapshot
+});
+
+registerExtractor({
+  id: 'results',
+  label: 'Results page',
+  priority: 10,
+  urlPatterns: [/unofficial/i, /result/i],
+  matches: (url, doc) => /unofficial.*result|result.*page/i.test(doc.title || ''),
+  extract: extractResultsPageSnapshot
+});
+
+registerExtractor({
+  id: 'generic',
+  label: 'Any page (all links)',
+  priority: 0,
+  matches: () => true,
+  extract: extractGenericPageSnapshot
+});
+
+// Export functions for use in the offscreen document
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    registerExtractor,
+    getExtractor,
+    listExtractors,
+    selectExtractor,
+    extractSnapshotFromDocument,
+    getContentRegion,
+    getFileIcon,
+    getContentFingerprint,
+    findResourceFileUrl,
+    isLoginPage,
+    resolveLinkUrl,
+    getLinkName,
+    getLinks,
+    getCourseSection,
+    createSnapshotBuilder,
+    extractModulePageSnapshot,
+    extractResultsPageSnapshot,
+    extractGenericPageSnapshot
+  };
+}
@@ -0,0 +1,44 @@
+/**
+ * format.js - Display Helpers
+ * 
+ * Labels and escaping used wherever snapshot items are shown as text or
+ * HTML. Shared by the background and extension pages.
+ */
+
+// Human-readable labels for snapshot item types
+const ITEM_TYPE_LABELS = {
+  pdf: 'PDF',
+  result: 'Result',
+  file: 'File',
+  activity: 'Activity',
+  notice: 'Notice',
+  announcement: 'Announcement',
+  link: 'Link',
+  heading: 'Heading',
+  presentation: 'Slides',
+  spreadsheet: 'Spreadsheet',
+  document: 'Document',
+  archive: 'Archive'
+};
+
+/**
+ * Escapes text for use inside HTML content or attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Export functions for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ITEM_TYPE_LABELS,
+    escapeHtml
+  };
+}
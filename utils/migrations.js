@@ -0,0 +1,118 @@
+/**
+ * migrations.js - Versioned Storage Schema Migrations
+ *
+ * The stored data layout is identified by the `schemaVersion` key in
+ * chrome.storage.local. Each migration upgrades the data by one version and
+ * runs once, in order, in the background service worker. Only the
+ * background migrates data; pages always see the current layout.
+ *
+ * To change the layout, append a migration with the next version number.
+ * A migration receives the savedSections array and changes it in place or
+ * returns a replacement; other keys are read and written directly. Data the
+ * migration replaces is deleted in its optional `cleanup`, which runs once
+ * the migrated savedSections have been saved. Keep migrations idempotent,
+ * since an interrupted run starts over.
+ *
+ * Depends on the URL, comparison, settings, snapshot database and section
+ * store utilities.
+ */
+
+// Ordered list of migrations; never reorder or renumber released entries
+const SCHEMA_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Upgrade the 2.0.0 layout: one savedSections array with IDs, canonical URLs and snapshots in IndexedDB',
+    migrate: async (savedSections) => {
+      // The oldest versions stored a single section under savedSection
+      const { savedSection } = await chrome.storage.local.get(['savedSection']);
+      if (savedSections.length === 0 && savedSection && savedSection.url) {
+        savedSections.push({
+          name: savedSection.name,
+          url: savedSection.url,
+          hasNew: false,
+          lastChecked: null
+        });
+      }
+      
+      const { ignoredUrlParams } = await getSettings();
+      const canonicalizeItem = item => (item && item.url ? { ...item, url: canonicalizeUrl(item.url, ignoredUrlParams) } : item);
+      const keptByUrl = new Map();
+      for (const section of savedSections) {
+        const snapshot = section.lastSnapshot || [];
+        delete section.lastSnapshot;
+        section.id = section.id || generateUUID();
+        section.name = section.name || 'Saved Section';
+        section.hasNew = section.hasNew === true;
+        section.url = canonicalizeUrl(section.url, ignoredUrlParams);
+        
+        // Sections that turn out to be the same page are merged into the first
+        const keptSection = keptByUrl.get(section.url);
+        if (keptSection) {
+          keptSection.hasNew = keptSection.hasNew || section.hasNew;
+          continue;
+        }
+        keptByUrl.set(section.url, section);
+        
+        // Sections saved without a baseline yet have nothing worth moving
+        if (snapshot.length > 0) {
+          await putSnapshotRecord({
+            sectionId: section.id,
+            snapshot: createStableSnapshot(snapshot.map(canonicalizeItem)),
+            history: []
+          });
+        }
+      }
+      return Array.from(keptByUrl.values());
+    },
+    cleanup: async () => {
+      await chrome.storage.local.remove('savedSection');
+    }
+  }
+];
+
+// Version written once every migration has run
+const CURRENT_SCHEMA_VERSION = SCHEMA_MIGRATIONS[SCHEMA_MIGRATIONS.length - 1].version;
+
+/**
+ * Runs every migration newer than the stored schema version, in order
+ * @returns {Promise<number>} Schema version after migrating
+ */
+async function runMigrations() {
+  const { schemaVersion } = await chrome.storage.local.get({ schemaVersion: 0 });
+  const pending = SCHEMA_MIGRATIONS.filter(migration => migration.version > schemaVersion);
+  if (pending.length === 0) {
+    return schemaVersion;
+  }
+  
+  // Queued on the section store so no other update sees a half-migrated list
+  await updateSavedSections(async (savedSections) => {
+    let sections = savedSections;
+    for (const migration of pending) {
+      console.log(`Migrating storage to schema version ${migration.version}: ${migration.description}`);
+      const replacement = await migration.migrate(sections);
+      if (Array.isArray(replacement)) {
+        sections = replacement;
+      }
+    }
+    return sections;
+  });
+  
+  // Old data goes only once the migrated sections are safely stored
+  for (const migration of pending) {
+    if (migration.cleanup) {
+      await migration.cleanup();
+    }
+  }
+  
+  await chrome.storage.local.set({ schemaVersion: CURRENT_SCHEMA_VERSION });
+  return CURRENT_SCHEMA_VERSION;
+}
+
+// Export functions for use in background.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SCHEMA_MIGRATIONS,
+    CURRENT_SCHEMA_VERSION,
+    runMigrations
+  };
+}
@@ -0,0 +1,35 @@
+/**
+ * page.js - Extension Page Helpers
+ * 
+ * Status messages and background messaging for extension pages. Each page
+ * using them has a #statusMessage element.
+ */
+
+/**
+ * Shows status message
+ * @param {string} message - Message to display
+ * @param {string} type - Type of message: 'info', 'error', 'success'
+ */
+function showStatus(message, type = 'info') {
+  const statusMessage = document.getElementById('statusMessage');
+  statusMessage.textContent = message;
+  statusMessage.className = `status-message ${type}`;
+  statusMessage.style.display = message ? 'block' : 'none';
+}
+
+/**
+ * Sends a message to the background and resolves with its response
+ * @param {Object} message - Message to send
+ * @returns {Promise<Object>} Response from the background
+ */
+function sendToBackground(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        reject(new Error(chrome.runtime.lastError?.message || response?.error || 'No response'));
+        return;
+      }
+      resolve(response);
+    });
+  });
+}
@@ -0,0 +1,65 @@
+/**
+ * queue.js - Request Scheduling Utility
+ * 
+ * Helpers to run background checks in parallel without overloading
+ * CourseWeb: a concurrency-limited task runner and a per-host rate limiter.
+ */
+
+// Earliest time (ms) the next request to each host may start
+const hostNextSlot = new Map();
+
+/**
+ * Runs an async worker over items with at most `limit` running at once
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent workers
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<Array>} Settled results in item order
+ */
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  
+  async function runNext() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      }
+    }
+  }
+  
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runNext));
+  return results;
+}
+
+/**
+ * Waits until a request to the URL's host is allowed, keeping at least
+ * `minSpacingMs` between request starts to the same host
+ * @param {string} url - URL about to be fetched
+ * @param {number} minSpacingMs - Minimum spacing between requests in ms
+ * @returns {Promise<void>}
+ */
+async function waitForHostSlot(url, minSpacingMs) {
+  // www.courseweb.sliit.lk and courseweb.sliit.lk are the same server
+  const host = new URL(url).hostname.replace(/^www\./, '');
+  const now = Date.now();
+  
+  // Reserve the slot synchronously so concurrent callers queue up behind it
+  const slot = Math.max(now, hostNextSlot.get(host) || 0);
+  hostNextSlot.set(host, slot + minSpacingMs);
+  
+  if (slot > now) {
+    await new Promise(resolve => setTimeout(resolve, slot - now));
+  }
+}
+
+// Export functions for use in background.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    runWithConcurrency,
+    waitForHostSlot
+  };
+}
@@ -0,0 +1,116 @@
+/**
+ * section-store.js - Serialized Updates to Saved Sections
+ *
+ * The savedSections array in chrome.storage.local is only changed through
+ * this store, in the background service worker. Updates are queued: each one
+ * reads the latest array, changes it and writes it back before the next one
+ * starts, so a check finishing while a favorite is added can no longer write
+ * back a stale copy. The popup and other pages send messages instead of
+ * writing the array themselves.
+ * 
+ * Snapshot records in IndexedDB (utils/snapshot-db.js) are written through
+ * the same queue, so a section and its snapshot always change together, as
+ * is the list of sections whose alerts are held for quiet hours.
+ */
+
+let sectionStoreQueue = Promise.resolve(); // Tail of the pending update chain
+
+/**
+ * Generate UUID for section IDs
+ */
+function generateUUID() {
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+    const r = Math.random() * 16 | 0;
+    const v = c === 'x' ? r : (r & 0x3 | 0x8);
+    return v.toString(16);
+  });
+}
+
+/**
+ * Queues a task that reads and writes saved sections or snapshot records.
+ * Tasks run one at a time, so inside a task both stores can be accessed
+ * directly. Never wait for another queued update from inside a task.
+ * @param {Function} task - Async function to run
+ * @returns {Promise<*>} Result of the task
+ */
+function runSectionStoreTask(task) {
+  const run = sectionStoreQueue.then(task);
+  
+  // A failed update must not block the ones queued after it
+  sectionStoreQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Queues a change to the saved sections
+ * @param {Function} mutator - Receives the current array and changes it in place,
+ *   or returns a replacement array. Keep it quick; slow work belongs outside.
+ * @returns {Promise<Array>} The sections as stored after the change
+ */
+function updateSavedSections(mutator) {
+  return runSectionStoreTask(async () => {
+    const result = await chrome.storage.local.get(['savedSections']);
+    const savedSections = result.savedSections || [];
+    const replacement = await mutator(savedSections);
+    const updatedSections = Array.isArray(replacement) ? replacement : savedSections;
+    await chrome.storage.local.set({ savedSections: updatedSections });
+    return updatedSections;
+  });
+}
+
+/**
+ * Queues a change to a single saved section
+ * @param {string} sectionId - ID of the section
+ * @param {Function} mutator - Receives the latest copy of the section and changes it in place
+ * @returns {Promise<Object|null>} The updated section, or null if it has been removed
+ */
+async function updateSavedSection(sectionId, mutator) {
+  let updatedSection = null;
+  await updateSavedSections(async (savedSections) => {
+    const section = savedSections.find(s => s.id === sectionId);
+    if (section) {
+      await mutator(section);
+      updatedSection = section;
+    }
+  });
+  return updatedSection;
+}
+
+/**
+ * Queues a change to a saved section and its snapshot record together
+ * @param {string} sectionId - ID of the section
+ * @param {Function} mutator - Receives the latest copy of the section and of its
+ *   snapshot record and changes them in place; returning false discards the change
+ * @returns {Promise<Object|null>} The updated section, or null if it has been removed
+ *   or the change was discarded
+ */
+function updateSectionAndSnapshot(sectionId, mutator) {
+  return runSectionStoreTask(async () => {
+    const result = await chrome.storage.local.get(['savedSections']);
+    const savedSections = result.savedSections || [];
+    const section = savedSections.find(s => s.id === sectionId);
+    if (!section) {
+      return null;
+    }
+    
+    const record = await getSnapshotRecord(sectionId);
+    if (await mutator(section, record) === false) {
+      return null;
+    }
+    
+    await putSnapshotRecord(record);
+    await chrome.storage.local.set({ savedSections: savedSections });
+    return section;
+  });
+}
+
+// Export functions for use in background.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    generateUUID,
+    runSectionStoreTask,
+    updateSavedSections,
+    updateSavedSection,
+    updateSectionAndSnapshot
+  };
+}
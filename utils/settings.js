@@ -0,0 +1,301 @@
+/**
+ * settings.js - User Settings Utility
+ * 
+ * Default values for user-adjustable settings and a helper to read them
+ * from chrome.storage.local. Shared by the background and extension pages.
+ * 
+ * Load utils/url.js first; it provides the default ignored URL parameters.
+ */
+
+/**
+ * Builds a quiet hours setting with the same window on every weekday
+ * @param {boolean} enabled - Whether quiet hours are on
+ * @param {string} start - Window start ("HH:MM")
+ * @param {string} end - Window end ("HH:MM"), may be earlier than start to span midnight
+ * @returns {Object} { enabled, days: [{ enabled, start, end }] } indexed Sunday = 0
+ */
+function createQuietHours(enabled, start, end) {
+  return {
+    enabled: enabled,
+    days: Array.from({ length: 7 }, () => ({ enabled: true, start: start, end: end }))
+  };
+}
+
+// Default settings (stored as top-level keys in chrome.storage.local)
+const DEFAULT_SETTINGS = {
+  checkInterval: 5, // Minutes between checks for sections without their own interval
+  snoozeMinutes: 60, // Snooze period used by the notification "Snooze" button
+  checkConcurrency: 3, // Sections fetched in parallel during a check
+  minRequestSpacingMs: 1000, // Minimum gap between requests to courseweb.sliit.lk
+  ignoredUrlParams: DEFAULT_IGNORED_URL_PARAMS, // Query parameters that do not make a link a different item
+  openResourcePages: false, // Open new mod/resource pages for their file name and size (CourseWeb logs this as a view)
+  notificationStyle: 'list', // 'list' (item names), 'basic' (summary only) or 'off'
+  badgeMode: 'count', // 'count' shows the unread item count, 'dot' a plain marker, 'off' hides update badges
+  historyLimit: 10, // Snapshot versions kept per section for the history page
+  historyRetentionDays: 90, // Drop snapshot versions older than this (0 keeps them until the limit)
+  quietHours: createQuietHours(false, '22:00', '07:00'), // Per-weekday windows without desktop alerts
+  digest: {
+    enabled: false,
+    frequency: 'daily', // 'daily' or 'weekly'
+    time: '18:00', // Local time the digest is compiled
+    weekday: 0, // Day of a weekly digest (Sunday = 0)
+    instantAlerts: true // Keep per-section notifications alongside the digest
+  }
+};
+
+// Check intervals offered per saved section (minutes)
+const SECTION_INTERVAL_OPTIONS = [5, 15, 30, 60, 3 * 60, 6 * 60, 24 * 60];
+
+// Allowed [min, max] of numeric settings, as offered on the options page
+const SETTING_RANGES = {
+  checkInterval: [5, 24 * 60],
+  snoozeMinutes: [30, 24 * 60],
+  checkConcurrency: [1, 6],
+  minRequestSpacingMs: [0, 30 * 1000],
+  historyLimit: [1, 50],
+  historyRetentionDays: [0, 365]
+};
+
+// Allowed values of settings chosen from a list
+const SETTING_CHOICES = {
+  notificationStyle: ['list', 'basic', 'off'],
+  badgeMode: ['count', 'dot', 'off']
+};
+
+// "HH:MM" in 24-hour time
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Reads all settings, falling back to defaults for missing keys
+ * @returns {Promise<Object>} Settings object
+ */
+async function getSettings() {
+  return chrome.storage.local.get(DEFAULT_SETTINGS);
+}
+
+/**
+ * Keeps only known settings with valid values: the same type as the
+ * default, numbers within SETTING_RANGES, one of SETTING_CHOICES, and
+ * well-formed digest and quiet hours objects
+ * @param {Object} settings - Settings received from an extension page or an import
+ * @returns {Object} Sanitized subset of settings
+ */
+function sanitizeSettings(settings) {
+  const sanitized = {};
+  Object.keys(settings || {}).forEach(key => {
+    if (!(key in DEFAULT_SETTINGS)) {
+      return;
+    }
+    const value = settings[key];
+    if (typeof value !== typeof DEFAULT_SETTINGS[key] || value === null) {
+      return;
+    }
+    if (typeof value === 'number') {
+      const [min, max] = SETTING_RANGES[key] || [0, Infinity];
+      if (!Number.isInteger(value) || value < min || value > max) {
+        return;
+      }
+    }
+    if (SETTING_CHOICES[key] && !SETTING_CHOICES[key].includes(value)) {
+      return;
+    }
+    if (Array.isArray(DEFAULT_SETTINGS[key]) && !(Array.isArray(value) && value.every(entry => typeof entry === 'string'))) {
+      return;
+    }
+    
+    if (key === 'digest') {
+      const digest = sanitizeDigest(value);
+      if (digest) {
+        sanitized.digest = digest;
+      }
+      return;
+    }
+    if (key === 'quietHours') {
+      const quietHours = sanitizeQuietHours(value);
+      if (quietHours) {
+        sanitized.quietHours = quietHours;
+      }
+      return;
+    }
+    sanitized[key] = value;
+  });
+  return sanitized;
+}
+
+/**
+ * Validates a digest setting. Missing fields take their default.
+ * @param {Object} digest - Digest setting to store
+ * @returns {Object|null} { enabled, frequency, time, weekday, instantAlerts }, or null if a field is invalid
+ */
+function sanitizeDigest(digest) {
+  const result = { ...DEFAULT_SETTINGS.digest, ...digest };
+  const valid = typeof result.enabled === 'boolean' &&
+    ['daily', 'weekly'].includes(result.frequency) &&
+    TIME_PATTERN.test(result.time) &&
+    Number.isInteger(result.weekday) && result.weekday >= 0 && result.weekday <= 6 &&
+    typeof result.instantAlerts === 'boolean';
+  if (!valid) {
+    return null;
+  }
+  
+  return {
+    enabled: result.enabled,
+    frequency: result.frequency,
+    time: result.time,
+    weekday: result.weekday,
+    instantAlerts: result.instantAlerts
+  };
+}
+
+/**
+ * Validates a quiet hours setting
+ * @param {Object} quietHours - Quiet hours setting to store
+ * @returns {Object|null} { enabled, days }, or null if a field is invalid
+ */
+function sanitizeQuietHours(quietHours) {
+  const { enabled, days } = quietHours;
+  if (!Array.isArray(days) || days.length !== 7) {
+    return null;
+  }
+  
+  const validDay = day => !!day && typeof day === 'object' &&
+    typeof day.enabled === 'boolean' && TIME_PATTERN.test(day.start) && TIME_PATTERN.test(day.end);
+  if (typeof enabled !== 'boolean' || !days.every(validDay)) {
+    return null;
+  }
+  
+  return {
+    enabled: enabled,
+    days: days.map(day => ({ enabled: day.enabled, start: day.start, end: day.end }))
+  };
+}
+
+/**
+ * Converts an "HH:MM" string to minutes after midnight
+ * @param {string} time - Time string
+ * @returns {number} Minutes after midnight
+ */
+function timeToMinutes(time) {
+  const [hours, minutes] = String(time || '0:0').split(':').map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+}
+
+/**
+ * Finds the quiet hours window covering a moment. A window belongs to the
+ * weekday it starts on, so Friday 22:00 - 07:00 also covers early Saturday.
+ * @param {Object} quietHours - { enabled, days }
+ * @param {Date} date - Moment to test
+ * @returns {Date|null} End of the covering window, or null if alerts are allowed
+ */
+function getQuietHoursEnd(quietHours, date = new Date()) {
+  if (!quietHours || !quietHours.enabled) {
+    return null;
+  }
+  
+  const now = date.getHours() * 60 + date.getMinutes();
+  
+  // Today's window, then the tail of yesterday's window past midnight
+  for (const offset of [0, -1]) {
+    const dayIndex = (date.getDay() + 7 + offset) % 7;
+    const day = (quietHours.days || [])[dayIndex];
+    if (!day || !day.enabled) {
+      continue;
+    }
+    
+    const start = timeToMinutes(day.start);
+    const end = timeToMinutes(day.end);
+    if (start === end) {
+      continue;
+    }
+    
+    const spansMidnight = end < start;
+    let covered;
+    if (offset === 0) {
+      covered = spansMidnight ? now >= start : now >= start && now < end;
+    } else {
+      covered = spansMidnight && now < end;
+    }
+    
+    if (covered) {
+      const windowEnd = new Date(date);
+      windowEnd.setHours(Math.floor(end / 60), end % 60, 0, 0);
+      if (offset === 0 && spansMidnight) {
+        windowEnd.setDate(windowEnd.getDate() + 1);
+      }
+      return windowEnd;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Checks whether a moment falls inside quiet hours
+ * @param {Object} quietHours - { enabled, days }
+ * @param {Date} date - Moment to test (defaults to now)
+ * @returns {boolean} True if alerts should be held
+ */
+function isWithinQuietHours(quietHours, date = new Date()) {
+  return getQuietHoursEnd(quietHours, date) !== null;
+}
+
+/**
+ * Calculates when the next digest is due
+ * @param {Object} digest - Digest settings
+ * @param {Date} from - Moment to count from (defaults to now)
+ * @returns {Date|null} Next digest time, or null if digests are off
+ */
+function getNextDigestTime(digest, from = new Date()) {
+  if (!digest || !digest.enabled) {
+    return null;
+  }
+  
+  const minutes = timeToMinutes(digest.time);
+  const next = new Date(from);
+  next.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+  
+  if (digest.frequency === 'weekly') {
+    next.setDate(next.getDate() + ((digest.weekday - next.getDay() + 7) % 7));
+    if (next <= from) {
+      next.setDate(next.getDate() + 7);
+    }
+  } else if (next <= from) {
+    next.setDate(next.getDate() + 1);
+  }
+  
+  return next;
+}
+
+/**
+ * Formats a number of minutes as a short human-readable duration
+ * @param {number} minutes - Duration in minutes
+ * @returns {string} e.g. "30 min", "4 h", "1 day"
+ */
+function formatDuration(minutes) {
+  if (minutes < 60) {
+    return `${minutes} min`;
+  }
+  if (minutes < 24 * 60) {
+    return `${Math.round(minutes / 60)} h`;
+  }
+  const days = Math.round(minutes / (24 * 60));
+  return days === 1 ? '1 day' : `${days} days`;
+}
+
+// Export functions for use in background.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_SETTINGS,
+    SECTION_INTERVAL_OPTIONS,
+    createQuietHours,
+    getSettings,
+    sanitizeSettings,
+    sanitizeDigest,
+    sanitizeQuietHours,
+    timeToMinutes,
+    getQuietHoursEnd,
+    isWithinQuietHours,
+    getNextDigestTime,
+    formatDuration
+  };
+}
@@ -0,0 +1,119 @@
+/**
+ * snapshot-db.js - IndexedDB Storage for Section Snapshots
+ *
+ * Snapshots and their version history can hold hundreds of items per
+ * section, so they are kept here, one record per saved section, instead of
+ * inside the savedSections array in chrome.storage.local. Storage only keeps
+ * the lightweight section metadata.
+ *
+ * Record shape: { sectionId, snapshot, history }
+ * 
+ * The background only writes records from section store tasks (see
+ * utils/section-store.js); pages only read them.
+ */
+
+const SNAPSHOT_DB_NAME = 'courseweb-snapshots';
+const SNAPSHOT_DB_VERSION = 1;
+const SNAPSHOT_STORE_NAME = 'sections';
+
+let snapshotDbPromise = null; // Shared connection, opened on first use
+
+/**
+ * Opens (and on first run creates) the snapshot database
+ * @returns {Promise<IDBDatabase>} Database connection
+ */
+function openSnapshotDb() {
+  if (!snapshotDbPromise) {
+    snapshotDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(SNAPSHOT_DB_NAME, SNAPSHOT_DB_VERSION);
+      
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(SNAPSHOT_STORE_NAME)) {
+          db.createObjectStore(SNAPSHOT_STORE_NAME, { keyPath: 'sectionId' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        snapshotDbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return snapshotDbPromise;
+}
+
+/**
+ * Runs a single request against the snapshot store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} createRequest - Receives the object store, returns an IDBRequest
+ * @returns {Promise<*>} Result of the request once the transaction completes
+ */
+async function runSnapshotRequest(mode, createRequest) {
+  const db = await openSnapshotDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(SNAPSHOT_STORE_NAME, mode);
+    const request = createRequest(transaction.objectStore(SNAPSHOT_STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Snapshot transaction aborted'));
+  });
+}
+
+/**
+ * Reads the snapshot record of a section
+ * @param {string} sectionId - Section ID
+ * @returns {Promise<Object>} Record, with an empty snapshot and history if none is stored
+ */
+async function getSnapshotRecord(sectionId) {
+  const record = await runSnapshotRequest('readonly', store => store.get(sectionId));
+  return {
+    sectionId: sectionId,
+    snapshot: [],
+    history: [],
+    ...(record || {})
+  };
+}
+
+/**
+ * Reads the snapshot records of all sections
+ * @returns {Promise<Array>} Records
+ */
+async function getAllSnapshotRecords() {
+  return runSnapshotRequest('readonly', store => store.getAll());
+}
+
+/**
+ * Stores a section's snapshot record, replacing the previous one
+ * @param {Object} record - { sectionId, snapshot, history }
+ */
+async function putSnapshotRecord(record) {
+  await runSnapshotRequest('readwrite', store => store.put(record));
+}
+
+/**
+ * Deletes the snapshot record of a section
+ * @param {string} sectionId - Section ID
+ */
+async function deleteSnapshotRecord(sectionId) {
+  await runSnapshotRequest('readwrite', store => store.delete(sectionId));
+}
+
+/**
+ * Deletes all snapshot records
+ */
+async function clearSnapshotRecords() {
+  await runSnapshotRequest('readwrite', store => store.clear());
+}
+
+// Export functions for use in background.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    openSnapshotDb,
+    getSnapshotRecord,
+    getAllSnapshotRecords,
+    putSnapshotRecord,
+    deleteSnapshotRecord,
+    clearSnapshotRecords
+  };
+}
@@ -0,0 +1,97 @@
+/**
+ * url.js - URL Canonicalization Utility
+ * 
+ * Moodle links to the same page in many spellings: with or without "www.",
+ * with per-session parameters like sesskey, with view flags like
+ * forceview=1 or redirect=1, and with query parameters in any order.
+ * canonicalizeUrl() reduces these to one form so snapshot items and saved
+ * sections are matched by what they point at, not how the link was written.
+ * 
+ * Shared by the background, the offscreen document and extension pages.
+ */
+
+// Query parameters dropped from URLs unless the user configures their own list
+const DEFAULT_IGNORED_URL_PARAMS = ['forceview', 'sesskey', 'redirect'];
+
+// Hosts that serve the same site under another name, mapped to the one we keep
+const CANONICAL_HOSTS = {
+  'courseweb.sliit.lk': 'www.courseweb.sliit.lk'
+};
+
+/**
+ * Check if a query parameter is on the ignore list. Entries ending in "*"
+ * match every parameter starting with the rest (e.g. "utm_*").
+ * @param {string} name - Parameter name
+ * @param {Array<string>} ignoredParams - Ignore list
+ * @returns {boolean} True if the parameter should be dropped
+ */
+function isIgnoredUrlParam(name, ignoredParams) {
+  const lowerName = name.toLowerCase();
+  return ignoredParams.some(pattern => {
+    const lowerPattern = String(pattern).trim().toLowerCase();
+    if (lowerPattern.endsWith('*')) {
+      return lowerName.startsWith(lowerPattern.slice(0, -1));
+    }
+    return lowerName === lowerPattern;
+  });
+}
+
+/**
+ * Parse a comma or whitespace separated list of parameter names
+ * @param {string} text - Text entered by the user
+ * @returns {Array<string>} Parameter names, without duplicates
+ */
+function parseIgnoredUrlParams(text) {
+  const names = String(text || '')
+    .split(/[\s,]+/)
+    .map(name => name.trim())
+    .filter(name => name && name !== '*');
+  return Array.from(new Set(names));
+}
+
+/**
+ * Reduce a URL to its canonical form: known alternative hosts mapped to one
+ * name, CourseWeb always over https, ignored parameters and the fragment
+ * removed, and the remaining parameters sorted
+ * @param {string} url - Absolute URL
+ * @param {Array<string>} ignoredParams - Query parameters to drop
+ * @returns {string} Canonical URL, or the trimmed input if it is not a valid URL
+ */
+function canonicalizeUrl(url, ignoredParams = DEFAULT_IGNORED_URL_PARAMS) {
+  const trimmed = String(url || '').trim();
+  
+  let parsed;
+  try {
+    parsed = new URL(trimmed);
+  } catch (error) {
+    return trimmed;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return trimmed;
+  }
+  
+  const host = parsed.hostname.toLowerCase();
+  if (CANONICAL_HOSTS[host]) {
+    parsed.hostname = CANONICAL_HOSTS[host];
+  }
+  if (Object.values(CANONICAL_HOSTS).includes(parsed.hostname)) {
+    parsed.protocol = 'https:';
+  }
+  
+  const params = Array.from(parsed.searchParams.entries())
+    .filter(([name]) => !isIgnoredUrlParam(name, ignoredParams || []))
+    .sort(([nameA, valueA], [nameB, valueB]) => nameA.localeCompare(nameB) || valueA.localeCompare(valueB));
+  parsed.search = new URLSearchParams(params).toString();
+  parsed.hash = '';
+  
+  return parsed.href;
+}
+
+// Export functions for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_IGNORED_URL_PARAMS,
+    canonicalizeUrl,
+    parseIgnoredUrlParams
+  };
+}